@@ -1,5 +1,8 @@
+const { handleCors, authorize } = require("../lib/auth")
+
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*")
+  if (handleCors(req, res, "GET, OPTIONS")) return
+  if (!(await authorize(req, res, "read"))) return
   
   try {
     // Test fetch availability
@@ -1,12 +1,8 @@
+const { handleCors, authorize } = require('../lib/auth')
+
 module.exports = async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end()
-  }
+  if (handleCors(req, res)) return
+  if (!(await authorize(req, res, 'read'))) return
   
   return res.status(200).json({
     status: 'healthy',
@@ -0,0 +1,33 @@
+const { authorize } = require('../lib/auth')
+const { SyncLockedError } = require('../lib/errors')
+const { publishScheduledItems } = require('./sync-to-webflow')
+
+// Publishes items whose Sanity publish date has come and unpublishes items past their end date.
+// Triggered by the cron in vercel.json, which sends `Authorization: Bearer <CRON_SECRET>`
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (!(await authorize(req, res, 'sync'))) return
+
+  try {
+    const result = await publishScheduledItems({ only: req.query?.only || null, trigger: 'cron' })
+    return res.status(200).json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error('❌ Scheduled publishing failed:', error.message)
+    if (error instanceof SyncLockedError) {
+      // The next cron run catches up
+      return res.status(409).json({ error: 'Sync already running', message: error.message, lockedBy: error.holder })
+    }
+    return res.status(500).json({
+      error: 'Scheduled publishing failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}
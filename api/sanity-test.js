@@ -1,4 +1,5 @@
 const {createClient} = require("@sanity/client")
+const { handleCors, authorize } = require("../lib/auth")
 
 const sanityClient = createClient({
   projectId: "b8bczekj",
@@ -9,10 +10,9 @@ const sanityClient = createClient({
 })
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*")
-  
-  if (req.method === "OPTIONS") return res.status(200).end()
+  if (handleCors(req, res, "POST, OPTIONS")) return
   if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" })
+  if (!(await authorize(req, res, "read"))) return
   
   try {
     console.log("🔔 Testing Sanity connection...")
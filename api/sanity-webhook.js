@@ -0,0 +1,136 @@
+const crypto = require('crypto')
+const { syncSingleItem, deleteSingleItem, SYNCABLE_TYPES, SYNC_DRAFTS } = require('./sync-to-webflow')
+
+// Sanity signs webhooks as "t=<timestamp>,v1=<base64url HMAC-SHA256 of `${t}.${body}`>"
+const SIGNATURE_HEADER = 'sanity-webhook-signature'
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000 // Reject replays older than 5 minutes
+
+// Read the raw request body (the signature is computed over the exact bytes Sanity sent).
+// The stream is read before touching req.body, since Vercel's body getter consumes it.
+// Returns null when a body parser has left only the parsed object, whose bytes are lost.
+async function readRawBody(req) {
+  const chunks = []
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk)
+  }
+  if (chunks.length > 0) return Buffer.concat(chunks).toString('utf8')
+
+  // Stream already consumed by a body parser (e.g. `vercel dev`)
+  if (typeof req.body === 'string') return req.body
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8')
+  return req.body ? null : ''
+}
+
+function parseSignatureHeader(header) {
+  const parts = {}
+  for (const part of String(header || '').split(',')) {
+    const [key, ...rest] = part.trim().split('=')
+    if (key && rest.length > 0) parts[key] = rest.join('=')
+  }
+  const timestamp = Number(parts.t)
+  if (!Number.isFinite(timestamp) || !parts.v1) return null
+  return { timestamp, signature: parts.v1 }
+}
+
+function isValidSignature(rawBody, header, secret) {
+  const parsed = parseSignatureHeader(header)
+  if (!parsed) return false
+
+  if (Math.abs(Date.now() - parsed.timestamp) > MAX_SIGNATURE_AGE_MS) {
+    console.warn('⚠️  Webhook signature timestamp outside allowed window')
+    return false
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${parsed.timestamp}.${rawBody}`)
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+
+  const a = Buffer.from(expected)
+  const b = Buffer.from(parsed.signature)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+// Operation comes from the `sanity-operation` header, or from a `delta::operation()` projection
+function resolveOperation(req, payload) {
+  const operation = payload.operation || req.headers['sanity-operation'] || 'update'
+  return String(operation).toLowerCase()
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const secret = process.env.SANITY_WEBHOOK_SECRET
+  if (!secret) {
+    console.error('❌ SANITY_WEBHOOK_SECRET is not configured')
+    return res.status(500).json({ error: 'Webhook secret not configured' })
+  }
+
+  let payload
+  try {
+    const rawBody = await readRawBody(req)
+    if (rawBody === null) {
+      console.error('❌ Webhook raw body unavailable: the request body was already parsed')
+      return res.status(500).json({ error: 'Raw body unavailable' })
+    }
+    if (!isValidSignature(rawBody, req.headers[SIGNATURE_HEADER], secret)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' })
+    }
+    payload = JSON.parse(rawBody)
+  } catch (error) {
+    return res.status(400).json({ error: 'Malformed webhook payload', message: error.message })
+  }
+
+  const documentId = payload._id || req.headers['sanity-document-id']
+  const documentType = payload._type
+  const operation = resolveOperation(req, payload)
+
+  if (!documentId || !documentType) {
+    return res.status(400).json({ error: 'Payload must include _id and _type' })
+  }
+
+  // Drafts only reach Webflow in staging mode (SYNC_DRAFTS=true), as Webflow draft items
+  if (documentId.startsWith('drafts.') && !SYNC_DRAFTS) {
+    return res.status(200).json({ skipped: true, reason: 'Draft document', documentId })
+  }
+
+  if (!SYNCABLE_TYPES.includes(documentType)) {
+    return res.status(200).json({ skipped: true, reason: `Unsupported document type: ${documentType}` })
+  }
+
+  console.log(`🔔 Sanity webhook: ${operation} ${documentType}/${documentId}`)
+
+  try {
+    if (operation === 'delete') {
+      // Delete payloads carry the last known document, used to release its asset mappings
+      const result = await deleteSingleItem(documentId, documentType, { document: payload, trigger: 'webhook' })
+      return res.status(result.queued ? 202 : 200).json({
+        success: true,
+        operation,
+        ...result
+      })
+    }
+
+    const result = await syncSingleItem(documentId, documentType, true, { trigger: 'webhook' })
+    return res.status(result.queued ? 202 : 200).json({
+      success: true,
+      operation,
+      ...result
+    })
+  } catch (error) {
+    console.error('❌ Webhook sync failed:', error.message)
+    return res.status(500).json({
+      error: 'Webhook sync failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}
+
+// Signature check internals, for test/sanity-webhook.test.js
+module.exports.isValidSignature = isValidSignature
@@ -0,0 +1,40 @@
+const { detectDrift, resolveDrift } = require('./sync-to-webflow')
+const { handleCors, authorize } = require('../lib/auth')
+const { SyncLockedError } = require('../lib/errors')
+
+// Drift between Sanity and live Webflow content.
+//   GET  /api/sync-drift                  items edited in Webflow since the last sync (?only=)
+//   POST /api/sync-drift                  apply a report entry's action:
+//        { action: 'overwrite', collection, sanityId }             sync the Sanity content again
+//        { action: 'accept', collection, sanityId, driftHash }     keep the Webflow content
+module.exports = async function handler(req, res) {
+  if (handleCors(req, res)) return
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+  if (!(await authorize(req, res, 'sync'))) return
+
+  try {
+    if (req.method === 'GET') {
+      const report = await detectDrift({ only: req.query?.only || null })
+      return res.status(200).json(report)
+    }
+
+    const { action, collection, sanityId, driftHash } = req.body || {}
+    if (!['overwrite', 'accept'].includes(action) || !collection || !sanityId) {
+      return res.status(400).json({ error: 'Body must include action (overwrite or accept), collection and sanityId' })
+    }
+    const result = await resolveDrift({ action, collection, sanityId, driftHash })
+    return res.status(200).json({ success: true, ...result })
+  } catch (error) {
+    console.error('❌ Drift request failed:', error.message)
+    if (error instanceof SyncLockedError) {
+      return res.status(409).json({ error: 'Sync already running', message: error.message, lockedBy: error.holder })
+    }
+    return res.status(500).json({
+      error: 'Drift request failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}
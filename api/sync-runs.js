@@ -0,0 +1,34 @@
+const { listSyncRuns, getSyncRun } = require('./sync-to-webflow')
+const { handleCors, authorize } = require('../lib/auth')
+
+// Sync run history.
+//   GET /api/sync-runs                    latest runs, newest first (?limit=, default 20, max 100)
+//   GET /api/sync-runs?item=<id>          runs that changed or removed a Sanity document or Webflow item
+//   GET /api/sync-runs?id=<runId>         one run with its per-collection changes and failed items
+module.exports = async function handler(req, res) {
+  if (handleCors(req, res, 'GET, OPTIONS')) return
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+  if (!(await authorize(req, res, 'read'))) return
+
+  const { id, item } = req.query || {}
+  try {
+    if (id) {
+      const run = await getSyncRun(id)
+      if (!run) return res.status(404).json({ error: `Sync run not found: ${id}` })
+      return res.status(200).json(run)
+    }
+
+    const limit = Math.min(Math.max(Number(req.query?.limit) || 20, 1), 100)
+    const runs = await listSyncRuns({ limit, item: item || null })
+    return res.status(200).json({ runs })
+  } catch (error) {
+    console.error('❌ Failed to read sync runs:', error.message)
+    return res.status(500).json({
+      error: 'Failed to read sync runs',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}
@@ -0,0 +1,26 @@
+const { getSyncStatus } = require('./sync-to-webflow')
+const { handleCors, authorize } = require('../lib/auth')
+
+// Sync status.
+//   GET /api/sync-status    the current run's phase, collection, counts and ETA, the last
+//                           finished run's summary and the mapped items per collection
+module.exports = async function handler(req, res) {
+  if (handleCors(req, res, 'GET, OPTIONS')) return
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+  if (!(await authorize(req, res, 'read'))) return
+
+  try {
+    const status = await getSyncStatus()
+    res.setHeader('Cache-Control', 'no-store')
+    return res.status(200).json({ ...status, timestamp: new Date().toISOString() })
+  } catch (error) {
+    console.error('❌ Failed to read sync status:', error.message)
+    return res.status(500).json({
+      error: 'Failed to read sync status',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}
@@ -27,6 +27,11 @@ try {
 }
 const crypto = require('crypto')
 const https = require('https')
+const { COLLECTIONS } = require('../lib/collections')
+const { webflowError, errorKind, WebflowNotFoundError, WebflowValidationError, WebflowServerError, SanityReadError, StateReadError, StateWriteError, SchemaMismatchError, OrphanLimitError, SyncLockedError } = require('../lib/errors')
+const { portableTextToHtml, escapeHtml, webflowImageFigure, webflowVideoFigure, normalizeRichTextHtml } = require('../lib/portable-text')
+const { createStateStore } = require('../lib/state-store')
+const { handleCors, authorize } = require('../lib/auth')
 
 // Sanity client
 const sanityClient = createClient({
@@ -43,12 +48,30 @@ if (!WEBFLOW_SITE_ID) {
   throw new Error('WEBFLOW_SITE_ID environment variable is required')
 }
 
-// Webflow locale IDs (will be resolved at runtime)
+// Webflow locales (resolved at runtime from /sites/:id). Each locale is mapped to the
+// Sanity i18n key its content is read from, e.g. de-DE -> name.de, fr-FR -> name.fr
 let WEBFLOW_LOCALES = {
-  'en-US': null,  // Primary locale ID (use en-US key for consistency)
-  'de-DE': null   // German locale ID
+  primary: null,  // { tag, cmsLocaleId, sanityKey }
+  secondary: []   // [{ tag, cmsLocaleId, sanityKey, subdirectory }, ...]
 }
 
+// Sanity key of the primary locale, also used as fallback for missing translations
+const SANITY_PRIMARY_LOCALE = process.env.SANITY_PRIMARY_LOCALE || 'en'
+
+// Optional explicit tag -> Sanity key mapping, e.g. {"de-DE":"de","fr-CA":"fr"}.
+// Map a tag to null to leave that Webflow locale untouched. Unmapped tags use their
+// language prefix (fr-FR -> fr)
+function parseLocaleMap() {
+  if (!process.env.WEBFLOW_LOCALE_MAP) return {}
+  try {
+    return JSON.parse(process.env.WEBFLOW_LOCALE_MAP)
+  } catch (e) {
+    console.warn('⚠️  Invalid WEBFLOW_LOCALE_MAP, falling back to tag prefixes')
+    return {}
+  }
+}
+const WEBFLOW_LOCALE_MAP = parseLocaleMap()
+
 // CLI args
 const ARGS = process.argv.slice(2)
 function getArg(name) {
@@ -62,9 +85,13 @@ const FLAG_PUBLISH = true // ALWAYS publish items to Webflow after sync
 const ARG_ONLY = getArg('only') // e.g. --only=creator|artwork|material
 const ARG_ITEM = getArg('item') // e.g. --item=creator-id-123 (single item sync)
 const FLAG_ENGLISH_ONLY = ARGS.includes('--english-only')
+// Staging: documents that only exist as Sanity drafts are synced as Webflow draft items
+const FLAG_SYNC_DRAFTS = ARGS.includes('--drafts') || process.env.SYNC_DRAFTS === 'true'
 
 // Webflow collection IDs (resolved dynamically at runtime)
 let WEBFLOW_COLLECTIONS = null
+// Webflow collection URL slugs by the same keys, for internal links (/<collection>/<item>)
+let WEBFLOW_COLLECTION_SLUGS = {}
 
 function normalize(str) {
   return (str || '')
@@ -74,28 +101,63 @@ function normalize(str) {
     .replace(/[^a-z0-9]+/g, '-')
 }
 
+function sanityKeyForLocaleTag(tag) {
+  if (Object.prototype.hasOwnProperty.call(WEBFLOW_LOCALE_MAP, tag)) return WEBFLOW_LOCALE_MAP[tag]
+  return String(tag || '').split('-')[0].toLowerCase() || null
+}
+
+// Site locales from /sites/:id. A site without localization has none; a failed request throws
 async function resolveWebflowLocales() {
   try {
     const siteInfo = await webflowRequest(`/sites/${WEBFLOW_SITE_ID}`)
     if (siteInfo.locales) {
       // With Advanced Localization, we can use the correct locale IDs
-      if (siteInfo.locales.primary?.cmsLocaleId) {
-        WEBFLOW_LOCALES['en-US'] = siteInfo.locales.primary.cmsLocaleId
-        console.log(`  🌍 Primary locale (en-US): ${WEBFLOW_LOCALES['en-US']}`)
-      }
-      if (Array.isArray(siteInfo.locales.secondary)) {
-        const germanLocale = siteInfo.locales.secondary.find(l => l.tag === 'de' || l.tag === 'de-DE')
-        if (germanLocale?.cmsLocaleId) {
-          WEBFLOW_LOCALES['de-DE'] = germanLocale.cmsLocaleId
-          console.log(`  🌍 German locale (de-DE): ${WEBFLOW_LOCALES['de-DE']}`)
+      const primary = siteInfo.locales.primary
+      if (primary?.cmsLocaleId) {
+        WEBFLOW_LOCALES.primary = { tag: primary.tag, cmsLocaleId: primary.cmsLocaleId, sanityKey: SANITY_PRIMARY_LOCALE }
+        console.log(`  🌍 Primary locale (${primary.tag} ← ${SANITY_PRIMARY_LOCALE}): ${primary.cmsLocaleId}`)
+      }
+      WEBFLOW_LOCALES.secondary = []
+      for (const locale of siteInfo.locales.secondary || []) {
+        if (!locale.cmsLocaleId || locale.enabled === false) continue
+        const sanityKey = sanityKeyForLocaleTag(locale.tag)
+        if (!sanityKey) {
+          console.log(`  ⏭️  Skipping locale ${locale.tag} (not mapped to a Sanity language)`)
+          continue
         }
+        WEBFLOW_LOCALES.secondary.push({ tag: locale.tag, cmsLocaleId: locale.cmsLocaleId, sanityKey, subdirectory: locale.subdirectory || null })
+        console.log(`  🌍 Secondary locale (${locale.tag} ← ${sanityKey}): ${locale.cmsLocaleId}`)
       }
     }
-  } catch (e) {
-    console.warn('⚠️  Failed to resolve locales:', e.message)
+  } catch (error) {
+    // Without the locales, creates would carry no locale IDs and hashes would be saved without
+    // the translations, so the run stops here. The error keeps its Webflow kind (auth, server, ...)
+    console.error('❌ Failed to resolve locales:', error.message)
+    throw error
   }
 }
 
+// CMS locale IDs for every configured locale (primary first)
+function allLocaleIds() {
+  return [WEBFLOW_LOCALES.primary?.cmsLocaleId, ...WEBFLOW_LOCALES.secondary.map(l => l.cmsLocaleId)].filter(Boolean)
+}
+
+// Secondary locales that receive their own localized field data (none with --english-only)
+function secondaryLocales() {
+  return FLAG_ENGLISH_ONLY ? [] : WEBFLOW_LOCALES.secondary
+}
+
+// Read a Sanity i18n field ({ en, de, fr, ... }) for a locale key. Falls back to the
+// primary locale, then to any other translation, unless `fallback` is false
+function localized(field, locale = SANITY_PRIMARY_LOCALE, { fallback = true } = {}) {
+  if (!field || typeof field !== 'object' || Array.isArray(field)) return field || undefined
+  if (field[locale]) return field[locale]
+  if (!fallback) return undefined
+  if (field[SANITY_PRIMARY_LOCALE]) return field[SANITY_PRIMARY_LOCALE]
+  const other = Object.keys(field).find(key => !key.startsWith('_') && field[key])
+  return other ? field[other] : undefined
+}
+
 async function resolveWebflowCollections() {
   // Allow explicit override via env JSON
   if (process.env.WEBFLOW_COLLECTIONS_JSON) {
@@ -115,11 +177,15 @@ async function resolveWebflowCollections() {
     bySlug.set(slug, c)
   }
 
-  // Helper to find a collection by possible names
+  // Helper to find a collection by possible names (remembers its URL slug for internal links)
+  const slugs = {}
   const pick = (...candidates) => {
     for (const name of candidates) {
       const c = bySlug.get(normalize(name))
-      if (c) return c.id
+      if (c) {
+        if (c.slug) slugs[c.id] = c.slug
+        return c.id
+      }
     }
     return null
   }
@@ -138,6 +204,8 @@ async function resolveWebflowCollections() {
     photographer: pick('photographers', 'photographer')
   }
 
+  WEBFLOW_COLLECTION_SLUGS = Object.fromEntries(Object.entries(resolved).filter(([, id]) => slugs[id]).map(([key, id]) => [key, slugs[id]]))
+
   // Validate presence
   const missing = Object.entries(resolved).filter(([, v]) => !v).map(([k]) => k)
   if (missing.length > 0) {
@@ -146,126 +214,57 @@ async function resolveWebflowCollections() {
   return resolved
 }
 
+// Registry entries by key (the Sanity document type)
+const COLLECTIONS_BY_KEY = Object.fromEntries(COLLECTIONS.map(entry => [entry.key, entry]))
+
 // Store mapping of Sanity IDs to Webflow IDs (in production, use database)
-const idMappings = {
-  materialType: new Map(),
-  material: new Map(),
-  finish: new Map(),
-  medium: new Map(),
-  category: new Map(),
-  location: new Map(),
-  creator: new Map(),
-  artwork: new Map(),
-  article: new Map(),
-  author: new Map(),
-  photographer: new Map()
-}
+const idMappings = Object.fromEntries(COLLECTIONS.map(entry => [entry.key, new Map()]))
+
+// Where mappings, hashes and asset mappings are persisted (lib/state-store.js)
+const stateStore = createStateStore(sanityClient)
 
 // Persistent ID mappings system (like asset mappings)
 let persistentIdMappings = new Map()
 let persistentHashes = new Map() // key: collection:sanityId => lastSyncedHash
+let persistentWebflowHashes = new Map() // key: collection:sanityId => driftContentHash of what was sent
 
-// Load ID mappings from Sanity
+// Load ID mappings and hashes from the state store. A failed read aborts the run: with empty
+// mappings every item would look new and be created again
 async function loadIdMappings() {
+  let loaded
   try {
-    const result = await sanityClient.fetch(`
-      *[_type == "webflowSyncSettings" && _id == "id-mappings"][0] {
-        idMappings
-      }
-    `)
-    
-    if (result?.idMappings) {
-      const parsedMappings = JSON.parse(result.idMappings)
-      persistentIdMappings = new Map(Object.entries(parsedMappings))
-      console.log(`🔗 Loaded ${persistentIdMappings.size} ID mappings from Sanity`)
-    } else {
-      console.log('🔗 No existing ID mappings found, starting fresh')
-      persistentIdMappings = new Map()
-    }
-  } catch (error) {
-    console.log('🔗 Failed to load ID mappings, starting fresh:', error.message)
-    persistentIdMappings = new Map()
-  }
-
-  // Load hashes
-  try {
-    const result2 = await sanityClient.fetch(`
-      *[_type == "webflowSyncSettings" && _id == "sync-hashes"][0] {
-        hashes
-      }
-    `)
-    if (result2?.hashes) {
-      const parsed = JSON.parse(result2.hashes)
-      persistentHashes = new Map(Object.entries(parsed))
-      console.log(`🔗 Loaded ${persistentHashes.size} item hashes`)
-    } else {
-      persistentHashes = new Map()
-    }
-  } catch (e) {
-    console.log('🔗 Failed to load hashes, starting fresh:', e.message)
-    persistentHashes = new Map()
-  }
-}
-
-// Clear stale ID mappings when Webflow is actually empty
-async function clearStaleIdMappings() {
-  console.log('🧹 Clearing stale ID mappings from Sanity...')
-  
-  try {
-    await sanityClient.createOrReplace({
-      _type: 'webflowSyncSettings',
-      _id: 'id-mappings',
-      idMappings: JSON.stringify({}),
-      lastUpdated: new Date().toISOString()
-    })
-    
-    // Clear in-memory mappings too
-    persistentIdMappings = new Map()
-    Object.keys(idMappings).forEach(collection => {
-      idMappings[collection].clear()
-    })
-    
-    console.log('✅ Cleared all stale ID mappings')
+    loaded = await stateStore.loadMappings()
   } catch (error) {
-    console.error('❌ Failed to clear ID mappings:', error.message)
+    console.error('🔗 Failed to load ID mappings:', error.message)
+    throw new StateReadError(`Failed to load ID mappings: ${error.message}`, { cause: error })
+  }
+  persistentIdMappings = loaded.idMappings
+  persistentHashes = loaded.hashes
+  persistentWebflowHashes = loaded.webflowHashes
+  if (persistentIdMappings.size > 0) {
+    console.log(`🔗 Loaded ${persistentIdMappings.size} ID mappings and ${persistentHashes.size} item hashes`)
+  } else {
+    console.log('🔗 No existing ID mappings found, starting fresh')
   }
 }
 
-// Save ID mappings to Sanity
+// Save ID mappings and hashes (only the entries that changed are written). Throws
+// StateWriteError when the store refuses the save
 async function saveIdMappings() {
   try {
     // Merge all collection mappings into one persistent store
-    const allMappings = {}
+    const allMappings = new Map()
     Object.entries(idMappings).forEach(([collection, map]) => {
       map.forEach((webflowId, sanityId) => {
-        allMappings[`${collection}:${sanityId}`] = webflowId
+        allMappings.set(`${collection}:${sanityId}`, webflowId)
       })
     })
     
-    await sanityClient.createOrReplace({
-      _type: 'webflowSyncSettings',
-      _id: 'id-mappings',
-      idMappings: JSON.stringify(allMappings),
-      lastUpdated: new Date().toISOString()
-    })
-    
-    console.log(`💾 Saved ${Object.keys(allMappings).length} ID mappings to Sanity`)
+    await stateStore.saveMappings({ idMappings: allMappings, hashes: persistentHashes, webflowHashes: persistentWebflowHashes })
+    console.log(`💾 Saved ${allMappings.size} ID mappings and ${persistentHashes.size} item hashes`)
   } catch (error) {
     console.error('❌ Failed to save ID mappings:', error.message)
-  }
-
-  // Save hashes
-  try {
-    const allHashes = Object.fromEntries(persistentHashes)
-    await sanityClient.createOrReplace({
-      _type: 'webflowSyncSettings',
-      _id: 'sync-hashes',
-      hashes: JSON.stringify(allHashes),
-      lastUpdated: new Date().toISOString()
-    })
-    console.log(`💾 Saved ${Object.keys(allHashes).length} item hashes to Sanity`)
-  } catch (e) {
-    console.error('❌ Failed to save hashes:', e.message)
+    throw new StateWriteError(`Failed to save ID mappings: ${error.message}`, { cause: error })
   }
 }
 
@@ -287,29 +286,27 @@ function loadPersistentMappings() {
 
 // Rebuild ID mappings from existing Webflow data (if mappings are empty)
 async function rebuildIdMappings() {
-  const collections = [
-    { key: 'creator', id: WEBFLOW_COLLECTIONS.creator, sanityType: 'creator' },
-    { key: 'artwork', id: WEBFLOW_COLLECTIONS.artwork, sanityType: 'artwork' },
-    { key: 'article', id: WEBFLOW_COLLECTIONS.article, sanityType: 'article' },
-    { key: 'author', id: WEBFLOW_COLLECTIONS.author, sanityType: 'author' },
-    { key: 'photographer', id: WEBFLOW_COLLECTIONS.photographer, sanityType: 'photographer' },
-    { key: 'category', id: WEBFLOW_COLLECTIONS.category, sanityType: 'category' },
-    { key: 'material', id: WEBFLOW_COLLECTIONS.material, sanityType: 'material' },
-    { key: 'medium', id: WEBFLOW_COLLECTIONS.medium, sanityType: 'medium' },
-    { key: 'finish', id: WEBFLOW_COLLECTIONS.finish, sanityType: 'finish' },
-    { key: 'materialType', id: WEBFLOW_COLLECTIONS.materialType, sanityType: 'materialType' },
-    { key: 'location', id: WEBFLOW_COLLECTIONS.location, sanityType: 'location' }
-  ]
+  const collections = COLLECTIONS.map(entry => ({
+    key: entry.key,
+    id: WEBFLOW_COLLECTIONS[entry.key],
+    sanityType: entry.key,
+    labelField: slugSourceField(entry)
+  }))
   
   for (const collection of collections) {
-    if (idMappings[collection.key].size === 0) {
+    if (idMappings[collection.key].size === 0 && collection.id) {
       console.log(`🔄 Rebuilding ${collection.key} mappings...`)
       
-      // Get existing Webflow items
-      const webflowItems = await getWebflowItems(collection.id)
-      
-      // Get corresponding Sanity items
-      const sanityItems = await sanityClient.fetch(`*[_type == "${collection.sanityType}"] { _id, slug, name }`)
+      // Get existing Webflow items and the corresponding Sanity items. A failed read leaves the
+      // mappings empty; the collection's own sync then fails on the same read and is skipped
+      let webflowItems, sanityItems
+      try {
+        webflowItems = await getWebflowItems(collection.id)
+        sanityItems = await sanityClient.fetch(`*[_type == "${collection.sanityType}"] { _id, slug, "label": ${collection.labelField} }`)
+      } catch (error) {
+        console.warn(`  ⚠️  Could not rebuild ${collection.key} mappings (${errorKind(error)}): ${error.message}`)
+        continue
+      }
       
       // Match by slug or name
       for (const webflowItem of webflowItems) {
@@ -318,8 +315,8 @@ async function rebuildIdMappings() {
         
         const sanityItem = sanityItems.find(item => 
           item.slug?.current === slug || 
-          item.name === name ||
-          generateSlug(item.name) === slug
+          localized(item.label) === name ||
+          generateSlug(localized(item.label)) === slug
         )
         
         if (sanityItem) {
@@ -337,50 +334,60 @@ function findExistingWebflowId(sanityId, collection) {
   return idMappings[collection]?.get(sanityId) || null
 }
 
-// Asset tracking system for incremental image sync (using Sanity as storage)
+// Resolve a referenced Sanity document to its Webflow ID, warning when it has not been synced yet.
+// In plan mode, unresolved references are also recorded on the referencing collection's report.
+function resolveReference(collection, sanityId, from = {}) {
+  if (!sanityId) return null
+  const webflowId = idMappings[collection]?.get(sanityId) || null
+  if (!webflowId) {
+    const label = collection.charAt(0).toUpperCase() + collection.slice(1)
+    console.warn(`  ⚠️  ${label} reference not found for ${from.type || 'item'} '${from.name || from.id}': ${sanityId}`)
+    const report = global.SYNC_PLAN?.collections?.[from.type]
+    if (report && !report.unresolvedReferences.some(r => r.sanityId === from.id && r.referenceId === sanityId)) {
+      report.unresolvedReferences.push({ sanityId: from.id, name: from.name || null, collection, referenceId: sanityId })
+    }
+  }
+  return webflowId
+}
+
+// Asset tracking system for incremental image sync (persisted in the state store)
 let assetMappings = new Map()
 
-// Load asset mappings from Sanity
+// Load asset mappings from the state store. A failed read aborts the run instead of uploading
+// every image again
 async function loadAssetMappings() {
   try {
-    const result = await sanityClient.fetch(`
-      *[_type == "webflowSyncSettings" && _id == "asset-mappings"][0] {
-        assetMappings
-      }
-    `)
-    
-    if (result?.assetMappings) {
-      const parsedMappings = JSON.parse(result.assetMappings)
-      assetMappings = new Map(Object.entries(parsedMappings))
-      console.log(`📁 Loaded ${assetMappings.size} asset mappings from Sanity`)
-    } else {
-      console.log('📁 No existing asset mappings found, starting fresh')
-      assetMappings = new Map()
-    }
+    assetMappings = await stateStore.loadAssets()
   } catch (error) {
-    console.log('📁 Failed to load asset mappings, starting fresh:', error.message)
-    assetMappings = new Map()
+    console.error('📁 Failed to load asset mappings:', error.message)
+    throw new StateReadError(`Failed to load asset mappings: ${error.message}`, { cause: error })
+  }
+  if (assetMappings.size > 0) {
+    console.log(`📁 Loaded ${assetMappings.size} asset mappings`)
+  } else {
+    console.log('📁 No existing asset mappings found, starting fresh')
   }
 }
 
-// Save asset mappings to Sanity
+// Save asset mappings (only the entries that changed are written)
 async function saveAssetMappings() {
   try {
-    const mappings = Object.fromEntries(assetMappings)
-    
-    await sanityClient.createOrReplace({
-      _type: 'webflowSyncSettings',
-      _id: 'asset-mappings',
-      assetMappings: JSON.stringify(mappings),
-      lastUpdated: new Date().toISOString()
-    })
-    
-    console.log(`💾 Saved ${assetMappings.size} asset mappings to Sanity`)
+    await stateStore.saveAssets(assetMappings)
+    console.log(`💾 Saved ${assetMappings.size} asset mappings`)
   } catch (error) {
     console.error('❌ Failed to save asset mappings:', error.message)
+    throw new StateWriteError(`Failed to save asset mappings: ${error.message}`, { cause: error })
   }
 }
 
+// Persist everything created so far, so a killed run does not lose its mappings. A failed save
+// throws, so nothing that depends on it (such as the job cursor) is saved after it
+async function checkpointMappings() {
+  if (global.SYNC_PLAN) return // Plan mode never persists in-memory adoptions
+  await saveIdMappings()
+  await saveAssetMappings()
+}
+
 // Clean up size/dimensions field - remove leading commas, normalize spacing
 function cleanSizeField(size) {
   if (!size || typeof size !== 'string') return ''
@@ -393,17 +400,6 @@ function cleanSizeField(size) {
     .replace(/\s+/g, ' ') // Normalize whitespace
     .trim()
 }
-function hasImageMetadataChanged(sanityImage, trackedAsset) {
-  const currentAltText = sanityImage.alt?.en || sanityImage.alt?.de || ''
-  const currentFilename = sanityImage.asset?.originalFilename || ''
-  const currentUrl = sanityImage.asset?.url || ''
-  
-  return (
-    trackedAsset.altText !== currentAltText ||
-    trackedAsset.filename !== currentFilename ||
-    trackedAsset.url !== currentUrl
-  )
-}
 
 // Update image metadata in Webflow
 async function updateImageMetadata(webflowAssetId, altText) {
@@ -435,140 +431,149 @@ async function updateImageMetadata(webflowAssetId, altText) {
   }
 }
 
-// Convert Sanity block content to Webflow's Rich Text HTML format
-function convertSanityBlocksToWebflowRichText(blocks) {
-  if (!blocks || !Array.isArray(blocks)) return null
-  
-  const htmlElements = blocks.map(block => {
-    if (block._type === 'block' && block.children) {
-      let paragraphContent = ''
-      
-      // Process each text span
-      for (const child of block.children) {
-        let text = child.text || ''
-        
-        // Apply formatting marks
-        if (child.marks && child.marks.length > 0) {
-          // Track which marks to apply
-          const marks = {
-            strong: false,      // Bold
-            em: false,          // Italic
-            underline: false,   // Underline
-            strike: false,      // Strike-through
-            link: null          // Link URL
-          }
-          
-          // Parse all marks
-          for (const mark of child.marks) {
-            if (mark === 'strong') marks.strong = true
-            else if (mark === 'em') marks.em = true
-            else if (mark === 'underline') marks.underline = true
-            else if (mark === 'strike-through') marks.strike = true
-            else if (typeof mark === 'object' && mark._type === 'link') {
-              marks.link = mark.href
-            }
-          }
-          
-          // Apply marks in proper nesting order (inside-out)
-          if (marks.link) text = `<a href="${marks.link}">${text}</a>`
-          if (marks.strong) text = `<strong>${text}</strong>`
-          if (marks.em) text = `<em>${text}</em>`
-          if (marks.underline) text = `<u>${text}</u>`
-          if (marks.strike) text = `<s>${text}</s>`
-        }
-        
-        paragraphContent += text
-      }
-      
-      // Wrap in appropriate block element based on style
-      const style = block.style || 'normal'
-      switch (style) {
-        case 'h1': return `<h1>${paragraphContent}</h1>`
-        case 'h2': return `<h2>${paragraphContent}</h2>`
-        case 'h3': return `<h3>${paragraphContent}</h3>`
-        case 'h4': return `<h4>${paragraphContent}</h4>`
-        case 'blockquote': return `<blockquote>${paragraphContent}</blockquote>`
-        default: return `<p>${paragraphContent}</p>`
-      }
-    } 
-    // Handle list items
-    else if (block._type === 'block' && block.listItem) {
-      let listContent = ''
-      for (const child of block.children || []) {
-        listContent += child.text || ''
-      }
-      
-      if (block.listItem === 'bullet') {
-        return `<ul><li>${listContent}</li></ul>`
-      } else if (block.listItem === 'number') {
-        return `<ol><li>${listContent}</li></ol>`
-      }
+// Sanity documents targeted by internal link annotations: _id -> { _type, slug }
+const linkTargets = new Map()
+
+// Collect the document IDs referenced from markDefs anywhere inside a value
+function collectLinkReferences(value, refs = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(v => collectLinkReferences(v, refs))
+  } else if (value && typeof value === 'object') {
+    for (const def of Array.isArray(value.markDefs) ? value.markDefs : []) {
+      const ref = def?.reference?._ref || def?.reference?._id
+      if (ref) refs.add(ref)
     }
+    Object.values(value).forEach(v => collectLinkReferences(v, refs))
+  }
+  return refs
+}
+
+// Fetch the type and slug of every internal link target before items are mapped, so the
+// (synchronous) rich text conversion can build their Webflow URLs
+async function loadLinkTargets(items) {
+  const ids = [...collectLinkReferences(items)].filter(id => !linkTargets.has(id))
+  if (ids.length === 0) return
+  const targets = await sanityClient.fetch('*[_id in $ids]{_id, _type, slug}', { ids })
+  for (const target of targets || []) linkTargets.set(target._id, target)
+}
+
+// Webflow URL of an internal link target, prefixed with the locale's subdirectory
+function resolveInternalLink(markDef, locale = SANITY_PRIMARY_LOCALE) {
+  const ref = markDef.reference?._ref || markDef.reference?._id
+  const target = linkTargets.get(ref) || (markDef.reference?.slug ? markDef.reference : null)
+  const collectionSlug = target && WEBFLOW_COLLECTION_SLUGS[target._type]
+  if (!target?.slug?.current || !collectionSlug) {
+    console.warn(`  ⚠️  Internal link to ${ref} has no Webflow page, keeping the text only`)
     return null
-  }).filter(Boolean)
-  
-  if (htmlElements.length === 0) return null
-  
-  return htmlElements.join('')
+  }
+  const subdirectory = WEBFLOW_LOCALES.secondary.find(l => l.sanityKey === locale)?.subdirectory
+  return `${subdirectory ? `/${subdirectory}` : ''}/${collectionSlug}/${target.slug.current}`
 }
 
-// Convert captions with numbered paragraphs (bold numbers)
-function convertCaptionsToWebflowRichText(blocks) {
-  if (!blocks || !Array.isArray(blocks)) return null
-  
-  const htmlElements = blocks.map((block, index) => {
-    if (block._type === 'block' && block.children) {
-      let paragraphContent = ''
-      
-      // Process each text span
-      for (const child of block.children) {
-        let text = child.text || ''
-        
-        // Apply formatting marks
-        if (child.marks && child.marks.length > 0) {
-          // Track which marks to apply
-          const marks = {
-            strong: false,      // Bold
-            em: false,          // Italic
-            underline: false,   // Underline
-            strike: false,      // Strike-through
-            link: null          // Link URL
-          }
-          
-          // Parse all marks
-          for (const mark of child.marks) {
-            if (mark === 'strong') marks.strong = true
-            else if (mark === 'em') marks.em = true
-            else if (mark === 'underline') marks.underline = true
-            else if (mark === 'strike-through') marks.strike = true
-            else if (typeof mark === 'object' && mark._type === 'link') {
-              marks.link = mark.href
-            }
-          }
-          
-          // Apply marks in proper nesting order (inside-out)
-          if (marks.link) text = `<a href="${marks.link}">${text}</a>`
-          if (marks.strong) text = `<strong>${text}</strong>`
-          if (marks.em) text = `<em>${text}</em>`
-          if (marks.underline) text = `<u>${text}</u>`
-          if (marks.strike) text = `<s>${text}</s>`
-        }
-        
-        paragraphContent += text
-      }
-      
-      // Prepend bold number to paragraph
-      const numberedContent = `<strong>${index + 1}</strong> ${paragraphContent}`
-      
-      // Wrap in paragraph
-      return `<p>${numberedContent}</p>`
+// Sanity image assets embedded in rich text: asset _id -> { _id, url, originalFilename, altText }
+const inlineImageAssets = new Map()
+
+// Asset IDs of image blocks inside portable text (their asset is an unexpanded reference)
+function collectInlineImageRefs(value, refs = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(v => collectInlineImageRefs(v, refs))
+  } else if (value && typeof value === 'object') {
+    if (value._type === 'image' && value.asset?._ref) refs.add(value.asset._ref)
+    Object.values(value).forEach(v => collectInlineImageRefs(v, refs))
+  }
+  return refs
+}
+
+// Upload the images embedded in rich text before items are mapped. Their Webflow-hosted URL is
+// kept in the asset mappings, so each image is only uploaded once (plan mode and drift reports
+// never upload)
+async function loadInlineImages(items, upload = !global.SYNC_PLAN) {
+  const ids = [...collectInlineImageRefs(items)]
+  const missing = ids.filter(id => !inlineImageAssets.has(id))
+  if (missing.length > 0) {
+    const assets = await sanityClient.fetch('*[_id in $ids]{_id, url, originalFilename, altText}', { ids: missing })
+    for (const asset of assets || []) inlineImageAssets.set(asset._id, asset)
+  }
+  if (!upload) return
+
+  for (const id of ids) {
+    const asset = inlineImageAssets.get(id)
+    const tracked = assetMappings.get(id)
+    if (!asset?.url || tracked?.hostedUrl) continue
+    try {
+      console.log(`  📤 Uploading inline image: ${asset.originalFilename || id}`)
+      const webflowAssetId = tracked?.webflowAssetId ||
+        await uploadImageToWebflow(asset.url, 'rich-text', asset.altText, asset.originalFilename)
+      if (!webflowAssetId) continue
+      const { hostedUrl } = await webflowRequest(`/assets/${webflowAssetId}`)
+      assetMappings.set(id, {
+        ...tracked,
+        webflowAssetId,
+        hostedUrl,
+        filename: asset.originalFilename,
+        url: asset.url,
+        lastUpdated: new Date().toISOString()
+      })
+    } catch (error) {
+      console.warn(`  ⚠️  Inline image ${id} not uploaded, using the Sanity URL: ${error.message}`)
     }
-    return null
-  }).filter(Boolean)
-  
-  if (htmlElements.length === 0) return null
-  
-  return htmlElements.join('')
+  }
+}
+
+// Everything rich text conversion needs that can't be fetched synchronously
+async function prepareRichText(items) {
+  await loadLinkTargets(items)
+  await loadInlineImages(items)
+}
+
+// Caption or alt text of a rich text object: i18n object, plain string or portable text
+function richTextObjectText(value, locale) {
+  const text = localized(value, locale)
+  return Array.isArray(text) ? extractTextFromBlocks(text) : (text || '')
+}
+
+// Renderers for the non-text blocks allowed in rich text
+function richTextTypes(locale) {
+  const video = block => webflowVideoFigure({
+    url: block.url,
+    title: richTextObjectText(block.title, locale),
+    caption: richTextObjectText(block.caption, locale)
+  })
+  return {
+    image: block => {
+      const ref = block.asset?._ref || block.asset?._id
+      const asset = inlineImageAssets.get(ref)
+      return webflowImageFigure({
+        src: assetMappings.get(ref)?.hostedUrl || asset?.url || block.asset?.url,
+        alt: richTextObjectText(block.alt, locale) || asset?.altText || '',
+        caption: richTextObjectText(block.caption, locale)
+      })
+    },
+    youtube: video,
+    vimeo: video,
+    videoEmbed: video,
+    pullQuote: block => {
+      const quote = richTextObjectText(block.text || block.quote, locale)
+      const attribution = richTextObjectText(block.attribution, locale)
+      return quote ? `<blockquote>${escapeHtml(quote)}${attribution ? ` — ${escapeHtml(attribution)}` : ''}</blockquote>` : null
+    }
+  }
+}
+
+// Convert Sanity block content to Webflow's Rich Text HTML format
+function convertSanityBlocksToWebflowRichText(blocks, locale = SANITY_PRIMARY_LOCALE) {
+  return portableTextToHtml(blocks, {
+    resolveLink: markDef => resolveInternalLink(markDef, locale),
+    types: richTextTypes(locale)
+  })
+}
+
+// Convert captions with numbered paragraphs (bold numbers)
+function convertCaptionsToWebflowRichText(blocks, locale = SANITY_PRIMARY_LOCALE) {
+  return portableTextToHtml(blocks, {
+    resolveLink: markDef => resolveInternalLink(markDef, locale),
+    blockPrefix: index => `<strong>${index + 1}</strong> `
+  })
 }
 
 // Extract plain text from Sanity rich text blocks (for non-rich-text fields)
@@ -588,85 +593,336 @@ function extractTextFromBlocks(blocks) {
     .trim()
 }
 
-// Collection-specific mapping functions
-function mapMaterialTypeFields(sanityItem, locale = 'en') {
-  const isGerman = locale === 'de-DE' || locale === 'de'
-  return {
-    'sort-order': sanityItem.sortOrder || 0,
-    name: isGerman ? (sanityItem.name?.de || sanityItem.name?.en || 'Untitled') : (sanityItem.name?.en || sanityItem.name?.de || 'Untitled'),
-    slug: sanityItem.slug?.current || generateSlug(sanityItem.name?.en || sanityItem.name?.de)
+// ─── Collection registry engine ────────────────────────────────────────────────
+// Sanity queries and Webflow fieldData are generated from the field specs in lib/collections.js
+
+const IMAGE_PROJECTION = 'asset->{_id, url, originalFilename, altText, alt, _updatedAt}, alt'
+
+function fieldProjections(spec) {
+  switch (spec.type) {
+    case 'reference': return [`${spec.from}->{_id}`]
+    case 'references': return [`${spec.from}[]->{_id}`]
+    case 'image': return [`${spec.from}{ ${IMAGE_PROJECTION} }`]
+    case 'images': return [`${spec.from}[]{ ${IMAGE_PROJECTION} }`]
+    case 'slug': return ['slug', ...[].concat(spec.from)]
+    case 'custom': return spec.project || []
+    default: return [spec.from]
   }
 }
 
-function mapCategoryFields(sanityItem, locale = 'en') {
-  const isGerman = locale === 'de-DE' || locale === 'de'
-  return {
-    name: isGerman ? (sanityItem.title?.de || sanityItem.title?.en || 'Untitled') : (sanityItem.title?.en || sanityItem.title?.de || 'Untitled'),
-    slug: sanityItem.slug?.current || generateSlug(sanityItem.title?.en || sanityItem.title?.de),
-    description: isGerman ? (sanityItem.description?.de || '') : (sanityItem.description?.en || '')
-  }
-}
-
-function mapCreatorFields(sanityItem, locale = 'en') {
-  // Locale-agnostic fields (same for all locales)
-  const baseFields = {
-    'name': sanityItem.name || 'Untitled',
-    'last-name': sanityItem.lastName || '',
-    'slug': sanityItem.slug?.current || generateSlug(sanityItem.name),
-    'hero-image': (sanityItem.cover?.asset?.url ? {
-      url: sanityItem.cover.asset.url,
-      alt: (sanityItem.cover?.alt?.en || sanityItem.cover?.alt?.de || sanityItem.name || '')
-    } : undefined),
-    'profile-image': (sanityItem.image?.asset?.url ? {
-      url: sanityItem.image.asset.url,
-      alt: (sanityItem.image?.alt?.en || sanityItem.image?.alt?.de || sanityItem.name || '')
-    } : undefined),
-    'studio-image': (sanityItem.studioImage?.asset?.url ? {
-      url: sanityItem.studioImage.asset.url,
-      alt: (sanityItem.studioImage?.alt?.en || sanityItem.studioImage?.alt?.de || sanityItem.name || '')
-    } : undefined),
-    'portrait-image': (sanityItem.portraitImage?.asset?.url ? {
-      url: sanityItem.portraitImage.asset.url,
-      alt: (sanityItem.portraitImage?.alt?.en || sanityItem.portraitImage?.alt?.de || sanityItem.name || '')
-    } : undefined),
-    'website': sanityItem.website || '',
-    'email': sanityItem.email || '',
-    'birth-year': sanityItem.birthYear ? parseInt(sanityItem.birthYear, 10) : null,
-    'category': sanityItem.category?._ref ? idMappings.category.get(sanityItem.category._ref) || null : null,
-    'locations': (sanityItem.associatedLocations || [])
-      .map(loc => loc._ref ? idMappings.location.get(loc._ref) : null)
-      .filter(Boolean)
-  }
-
-  // Locale-specific fields
-  const isGerman = locale === 'de-DE' || locale === 'de'
-  const localeFields = {
-    'biography': extractTextFromBlocks(isGerman ? sanityItem.biography?.de : sanityItem.biography?.en),
-    'portrait-english': extractTextFromBlocks(isGerman ? sanityItem.portrait?.de : sanityItem.portrait?.en), // TODO: rename to 'portrait' once slug is fixed in Webflow
-    'nationality': isGerman ? (sanityItem.nationality?.de || '') : (sanityItem.nationality?.en || ''),
-    'specialties': isGerman ? (sanityItem.specialties?.de?.join(', ') || '') : (sanityItem.specialties?.en?.join(', ') || '')
-  }
-
-  return { ...baseFields, ...localeFields }
-}
-
-function mapLocationFields(sanityItem, locale = 'en') {
-  const isGerman = locale === 'de-DE' || locale === 'de'
-  return {
-    name: isGerman ? (sanityItem.name?.de || sanityItem.name?.en || 'Untitled') : (sanityItem.name?.en || sanityItem.name?.de || 'Untitled'),
-    slug: sanityItem.slug?.current || generateSlug(sanityItem.name?.en || sanityItem.name?.de),
-    'location-type': mapLocationType(sanityItem.type),
-    website: sanityItem.website || '',
-    email: sanityItem.email || ''
+// Slots of an entry's repeating field group: Map of n -> { role: Webflow slug }. Read from the live
+// schema; when two slugs fit one role (an older field kept its suffix) the fallback slug wins
+function repeatSlots(entry) {
+  const group = entry.repeat
+  const fallbackSlug = (n, role) => `${group.name}-${n}-${role}${group.fallback?.suffixes?.[role] || ''}`
+  const slots = new Map()
+  const schema = WEBFLOW_SCHEMAS[entry.key]
+  if (!schema) {
+    for (let n = 1; n <= (group.fallback?.count || 0); n++) {
+      slots.set(n, Object.fromEntries(Object.keys(group.roles).map(role => [role, fallbackSlug(n, role)])))
+    }
+    return slots
+  }
+  const pattern = new RegExp(`^${group.name}-(\\d+)-(${Object.keys(group.roles).join('|')})(?:-\\d+)?$`)
+  for (const slug of schema.keys()) {
+    const match = slug.match(pattern)
+    if (!match) continue
+    const n = parseInt(match[1], 10)
+    const slot = slots.get(n) || {}
+    if (!slot[match[2]] || slug === fallbackSlug(n, match[2])) slot[match[2]] = slug
+    slots.set(n, slot)
+  }
+  return new Map([...slots.entries()].sort(([a], [b]) => a - b))
+}
+
+// Field specs of an entry, with its repeating group expanded to one set of fields per slot
+function entryFields(entry) {
+  if (!entry.repeat) return entry.fields
+  const fields = { ...entry.fields }
+  for (const [n, slugs] of repeatSlots(entry)) {
+    for (const [role, slug] of Object.entries(slugs)) fields[slug] = entry.repeat.roles[role](n)
+  }
+  return fields
+}
+
+// GROQ query for a registry entry. Projections are keyed by their field name, and the ones
+// declared by custom fields win (e.g. a reference that also needs the referenced name)
+function buildSanityQuery(entry, filter = '') {
+  const projections = new Map([['_id', '_id']])
+  const specs = Object.values(entryFields(entry))
+  for (const spec of [...specs.filter(s => s.type !== 'custom'), ...specs.filter(s => s.type === 'custom')]) {
+    for (const projection of fieldProjections(spec)) {
+      projections.set(projection.match(/^\w+/)[0], projection)
+    }
+  }
+  for (const projection of [...(entry.repeat?.project || []), ...Object.values(entry.schedule || {})]) {
+    const name = projection.match(/^\w+/)[0]
+    if (!projections.has(name)) projections.set(name, projection)
+  }
+  const drafts = FLAG_SYNC_DRAFTS ? '' : '&& !(_id in path("drafts.**"))'
+  return `
+    *[_type == "${entry.key}" ${drafts} ${filter}] | order(${entry.order}) {
+      ${[...projections.values()].join(',\n      ')}
+    }
+  `
+}
+
+// Sanity field a registry entry's slug is generated from (also used to match items by name)
+function slugSourceField(entry) {
+  const spec = Object.values(entry.fields).find(s => s.type === 'slug')
+  return spec ? [].concat(spec.from)[0] : 'name'
+}
+
+function mapImage(image, spec, item, locale) {
+  if (!image?.asset?.url) return undefined
+  const alt = spec.altSource === 'asset'
+    ? image.asset.altText || image.asset.alt || ''
+    : [image.alt, ...(spec.altFallback || []).map(field => item[field])]
+      .map(value => localized(value, locale))
+      .find(Boolean) || spec.defaultAlt || ''
+  return { url: image.asset.url, alt }
+}
+
+// Webflow option ID for a Sanity value, matched by option name against the live schema.
+// `spec.options` may rename Sanity values whose option name differs; names are compared
+// normalized, so 'shop-gallery' matches 'Shop / Gallery'
+function resolveOptionId(entry, field, spec, value) {
+  const options = WEBFLOW_SCHEMAS[entry.key]?.get(field)?.validations?.options
+  if (!options) {
+    throw new Error(`no Webflow options loaded for '${field}'`)
+  }
+  const optionName = spec.options?.[value] ?? value
+  const option = options.find(o => normalize(o.name) === normalize(optionName))
+  if (!option) {
+    throw new Error(`'${field}' has no Webflow option for '${value}' (options: ${options.map(o => o.name).join(', ')})`)
+  }
+  return option.id
+}
+
+function mapFieldValue(spec, item, locale, { entry, field, from }) {
+  switch (spec.type) {
+    case 'string':
+      return item[spec.from] || spec.default
+    case 'number':
+      if (!item[spec.from]) return spec.default
+      return spec.integer ? parseInt(item[spec.from], 10) : Number(item[spec.from])
+    case 'localized': {
+      const value = localized(item[spec.from], locale, { fallback: !!spec.fallback })
+      switch (spec.format) {
+        case 'richText': return convertSanityBlocksToWebflowRichText(value, locale)
+        case 'captions': return convertCaptionsToWebflowRichText(value, locale)
+        case 'plainText': return extractTextFromBlocks(value)
+        case 'list': return value?.join(', ') || (spec.default ?? '')
+        default: return value || (spec.default ?? '')
+      }
+    }
+    case 'slug':
+      return item.slug?.current || generateSlug([].concat(spec.from).map(field => localized(item[field])).find(Boolean))
+    case 'option':
+      // Only an unset value falls back to the default, unknown values are errors
+      return resolveOptionId(entry, field, spec, item[spec.from] || spec.default)
+    case 'reference': {
+      const ref = item[spec.from]
+      return resolveReference(spec.collection, ref?._id || ref?._ref, from)
+    }
+    case 'references':
+      return (item[spec.from] || [])
+        .map(ref => resolveReference(spec.collection, ref?._id || ref?._ref, from))
+        .filter(Boolean)
+    case 'image':
+      return mapImage(item[spec.from], spec, item, locale)
+    case 'images':
+      return (item[spec.from] || []).map(image => mapImage(image, spec, item, locale)).filter(Boolean)
+    case 'custom':
+      return spec.value(item, {
+        locale,
+        localized,
+        richText: blocks => convertSanityBlocksToWebflowRichText(blocks, locale),
+        captions: blocks => convertCaptionsToWebflowRichText(blocks, locale),
+        plainText: extractTextFromBlocks,
+        cleanSize: cleanSizeField,
+        generateSlug
+      })
+    default:
+      throw new Error(`Unknown field type '${spec.type}'`)
   }
 }
 
-function mapMediumFinishFields(sanityItem, locale = 'en') {
-  const isGerman = locale === 'de-DE' || locale === 'de'
-  return {
-    name: isGerman ? (sanityItem.name?.de || sanityItem.name?.en || 'Untitled') : (sanityItem.name?.en || sanityItem.name?.de || 'Untitled'),
-    slug: sanityItem.slug?.current || generateSlug(sanityItem.name?.en || sanityItem.name?.de)
+// Webflow fieldData for one Sanity item in one locale (primary-only fields are skipped for
+// secondary locales, undefined values are left out). Throws with every failing field at once
+function mapCollectionFields(entry, item, locale = SANITY_PRIMARY_LOCALE) {
+  const from = { type: entry.key, id: item._id, name: localized(item[entry.fields.name?.from || slugSourceField(entry)]) }
+  const fieldData = {}
+  const problems = []
+  if (entry.repeat && locale === SANITY_PRIMARY_LOCALE) {
+    const used = entry.repeat.count(item)
+    const available = repeatSlots(entry).size
+    if (used > available) {
+      problems.push(`uses ${used} ${entry.repeat.name}s but the Webflow collection only has ${available} (add '${entry.repeat.name}-${available + 1}-*' fields in Webflow)`)
+    }
+  }
+  for (const [field, spec] of Object.entries(entryFields(entry))) {
+    if (spec.primaryOnly && locale !== SANITY_PRIMARY_LOCALE) continue
+    try {
+      const value = mapFieldValue(spec, item, locale, { entry, field, from })
+      if (value !== undefined) fieldData[field] = value
+    } catch (error) {
+      problems.push(error.message)
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(problems.join(', '))
+  }
+  return fieldData
+}
+
+// Who writes a Webflow field: the sync on every update ('sanity', the default), the sync only when
+// the item is created ('sanity-initial'), or only editors in Webflow ('webflow')
+const FIELD_OWNERS = ['sanity', 'sanity-initial', 'webflow']
+
+function fieldOwner(entry, field) {
+  return entry.ownership?.[field] || 'sanity'
+}
+
+// The part of mapped fieldData the sync writes. Only what updates send counts towards the item
+// hash and the drift report
+function ownedFieldData(entry, fieldData, { create = false } = {}) {
+  return Object.fromEntries(Object.entries(fieldData || {}).filter(([field]) => {
+    const owner = fieldOwner(entry, field)
+    return owner === 'sanity' || (create && owner === 'sanity-initial')
+  }))
+}
+
+// ─── Webflow schema validation ─────────────────────────────────────────────────
+// Collection field definitions are fetched from Webflow (GET /collections/:id) on every run, so a
+// renamed or retyped field is reported before any write instead of as a 400 mid-run
+
+// Live field definitions per registry key: Map of field slug -> Webflow field
+let WEBFLOW_SCHEMAS = {}
+// Structural mismatches per registry key; a collection with mismatches is not synced
+let SCHEMA_ERRORS = {}
+
+// Webflow field types each registry field type can write to
+const COMPATIBLE_FIELD_TYPES = {
+  string: ['PlainText', 'Email', 'Link', 'Phone', 'DateTime'],
+  number: ['Number'],
+  slug: ['PlainText'],
+  option: ['Option'],
+  reference: ['Reference'],
+  references: ['MultiReference'],
+  image: ['Image'],
+  images: ['MultiImage']
+}
+
+function expectedFieldTypes(spec) {
+  if (spec.type === 'localized') return ['richText', 'captions'].includes(spec.format) ? ['RichText'] : ['PlainText']
+  if (spec.type === 'custom') return spec.fieldType ? [spec.fieldType] : null
+  return COMPATIBLE_FIELD_TYPES[spec.type] || null
+}
+
+function describeFieldSpec(entry, field, spec) {
+  const source = spec.from ? ` from ${[].concat(spec.from).join('/')}` : ''
+  return `${entry.key}.fields['${field}'] (${spec.type}${source})`
+}
+
+// Compare one registry entry with its live schema: unknown slugs, incompatible types, reference
+// targets, and required Webflow fields the entry never maps
+function findSchemaMismatches(entry, schema) {
+  const errors = []
+  const fields = entryFields(entry)
+  if (entry.repeat && repeatSlots(entry).size === 0) {
+    errors.push(`${entry.key}.repeat: no '${entry.repeat.name}-<n>-<role>' fields in Webflow`)
+  }
+  for (const [field, spec] of Object.entries(fields)) {
+    const webflowField = schema.get(field)
+    const mapper = describeFieldSpec(entry, field, spec)
+    if (!webflowField) {
+      errors.push(`${mapper}: no Webflow field with slug '${field}'`)
+      continue
+    }
+    const expected = expectedFieldTypes(spec)
+    if (expected && !expected.includes(webflowField.type)) {
+      errors.push(`${mapper}: Webflow field is ${webflowField.type}, expected ${expected.join(' or ')}`)
+    }
+    if (spec.type === 'option' && webflowField.validations?.options) {
+      const names = webflowField.validations.options.map(o => normalize(o.name))
+      const declared = [...Object.values(spec.options || {}), ...(spec.default ? [spec.options?.[spec.default] ?? spec.default] : [])]
+      declared
+        .filter(name => !names.includes(normalize(name)))
+        .forEach(name => errors.push(`${mapper}: Webflow field has no option '${name}'`))
+    }
+    const targetId = webflowField.validations?.collectionId
+    if (targetId && spec.collection && WEBFLOW_COLLECTIONS[spec.collection] && targetId !== WEBFLOW_COLLECTIONS[spec.collection]) {
+      errors.push(`${mapper}: Webflow field references collection ${targetId}, not ${spec.collection} (${WEBFLOW_COLLECTIONS[spec.collection]})`)
+    }
+  }
+  for (const field of Object.keys(entry.ownership || {})) {
+    if (!schema.has(field)) errors.push(`${entry.key}.ownership['${field}']: no Webflow field with slug '${field}'`)
+  }
+  for (const webflowField of schema.values()) {
+    if (webflowField.isRequired && !fields[webflowField.slug]) {
+      errors.push(`${entry.key}: required Webflow field '${webflowField.slug}' (${webflowField.type}) is not mapped`)
+    }
+  }
+  return errors
+}
+
+// Fetch the live schema for each collection and report every mismatch at once
+async function validateCollectionSchemas(keys = Object.keys(COLLECTIONS_BY_KEY)) {
+  WEBFLOW_SCHEMAS = {}
+  SCHEMA_ERRORS = {}
+  await mapWithConcurrency(keys, async (key) => {
+    const collectionId = WEBFLOW_COLLECTIONS?.[key]
+    if (!collectionId) return
+    try {
+      const collection = await webflowRequest(`/collections/${collectionId}`)
+      WEBFLOW_SCHEMAS[key] = new Map((collection.fields || []).map(field => [field.slug, field]))
+      if (collection.slug) WEBFLOW_COLLECTION_SLUGS[key] = collection.slug
+    } catch (error) {
+      // Option fields and section slots need the schema, so the collection is skipped as a whole
+      console.error(`❌ Could not load Webflow schema for ${key}: ${error.message}`)
+      SCHEMA_ERRORS[key] = [`Could not load the Webflow schema: ${error.message}`]
+    }
+  })
+
+  for (const key of keys) {
+    if (!WEBFLOW_SCHEMAS[key]) continue
+    const errors = findSchemaMismatches(COLLECTIONS_BY_KEY[key], WEBFLOW_SCHEMAS[key])
+    if (errors.length > 0) SCHEMA_ERRORS[key] = errors
   }
+
+  const mismatched = Object.keys(SCHEMA_ERRORS)
+  if (mismatched.length === 0) {
+    console.log(`✅ Webflow schemas match the collection registry (${Object.keys(WEBFLOW_SCHEMAS).length} collections)`)
+  } else {
+    console.error(`❌ Webflow schema mismatches in ${mismatched.length} collection(s), these will not be synced:`)
+    for (const key of mismatched) {
+      SCHEMA_ERRORS[key].forEach(error => console.error(`   - ${error}`))
+    }
+  }
+  if (global.SYNC_PLAN) global.SYNC_PLAN.schemaErrors = { ...SCHEMA_ERRORS }
+  return SCHEMA_ERRORS
+}
+
+// Per-item checks against the live schema: required values and max length. Secondary locales
+// only carry part of the fields, so required values are checked on the primary locale only
+function validateFieldValues(entry, fieldData, { primary = true } = {}) {
+  const schema = WEBFLOW_SCHEMAS[entry.key]
+  if (!schema) return []
+  const problems = []
+  for (const [field, value] of Object.entries(fieldData)) {
+    const webflowField = schema.get(field)
+    if (!webflowField) continue
+    const isEmpty = value === null || value === '' || (Array.isArray(value) && value.length === 0)
+    if (primary && webflowField.isRequired && isEmpty) {
+      problems.push(`'${field}' is required`)
+    }
+    const maxLength = webflowField.validations?.maxLength
+    if (maxLength && typeof value === 'string' && value.length > maxLength) {
+      problems.push(`'${field}' is ${value.length} characters, max ${maxLength}`)
+    }
+  }
+  return problems
 }
 
 function generateSlug(text) {
@@ -674,54 +930,125 @@ function generateSlug(text) {
   return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
 }
 
-// Map Sanity location types to Webflow location types
-function mapLocationType(sanityType) {
-  const typeMapping = {
-    'museum': 'Museum',
-    'shop-gallery': 'Shop / Gallery',
-    'studio': 'Studio'
+// Adaptive rate limiter shared by EVERY Webflow API request.
+// The budget is read from X-RateLimit-Limit / X-RateLimit-Remaining on each response: requests
+// run concurrently (up to WEBFLOW_MAX_CONCURRENCY) while budget remains, and only wait once it
+// is spent. A 429 pauses all requests for the Retry-After period.
+const WEBFLOW_MAX_CONCURRENCY = Number(process.env.WEBFLOW_MAX_CONCURRENCY) || 4
+const RATE_LIMIT_WINDOW_MS = 60000 // Webflow budgets are per minute
+
+const rateLimiter = {
+  limit: 60,         // Requests per window (updated from X-RateLimit-Limit)
+  remaining: null,   // Unknown until the first response comes back
+  inFlight: 0,
+  pausedUntil: 0,    // Set from Retry-After on 429
+  nextProbeAt: 0,    // While the budget is spent, one request per window/limit checks for a refill
+  waiters: []        // Requests waiting for an in-flight request to finish
+}
+
+async function acquireRequestSlot() {
+  while (true) {
+    const now = Date.now()
+    if (now < rateLimiter.pausedUntil) {
+      await sleep(rateLimiter.pausedUntil - now)
+      continue
+    }
+
+    // Until the first response tells us the budget, send one request at a time
+    const available = rateLimiter.remaining === null
+      ? (rateLimiter.inFlight === 0 ? 1 : 0)
+      : rateLimiter.remaining - rateLimiter.inFlight
+
+    if (rateLimiter.inFlight < WEBFLOW_MAX_CONCURRENCY && available > 0) {
+      rateLimiter.inFlight++
+      return
+    }
+
+    if (rateLimiter.inFlight > 0) {
+      // A response will update the budget (or free a concurrency slot)
+      await new Promise(resolve => rateLimiter.waiters.push(resolve))
+      continue
+    }
+
+    // Budget spent and nothing in flight: probe at the steady per-request rate
+    if (now >= rateLimiter.nextProbeAt) {
+      rateLimiter.nextProbeAt = now + RATE_LIMIT_WINDOW_MS / rateLimiter.limit
+      rateLimiter.inFlight++
+      return
+    }
+    await sleep(rateLimiter.nextProbeAt - now)
+  }
+}
+
+function releaseRequestSlot(response) {
+  rateLimiter.inFlight--
+
+  const limit = Number(response?.headers?.get('x-ratelimit-limit'))
+  const remaining = response?.headers?.get('x-ratelimit-remaining')
+  if (Number.isFinite(limit) && limit > 0) rateLimiter.limit = limit
+  if (remaining !== null && remaining !== undefined && Number.isFinite(Number(remaining))) {
+    rateLimiter.remaining = Number(remaining)
+  }
+
+  if (response?.status === 429) {
+    const retryAfter = Number(response.headers.get('retry-after'))
+    const waitMs = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : RATE_LIMIT_WINDOW_MS / rateLimiter.limit
+    rateLimiter.pausedUntil = Math.max(rateLimiter.pausedUntil, Date.now() + waitMs)
+    rateLimiter.remaining = 0
   }
-  return typeMapping[sanityType] || 'Shop / Gallery' // Default to Shop / Gallery
+
+  const waiters = rateLimiter.waiters.splice(0)
+  waiters.forEach(resolve => resolve())
 }
 
-// Global rate limiter - add delay before EVERY API request
-let lastRequestTime = 0
-const MIN_REQUEST_INTERVAL = 1200 // Minimum 1.2 seconds between ANY requests
+// Run an async worker over items with bounded concurrency (requests are still paced by the rate limiter)
+async function mapWithConcurrency(items, worker, concurrency = WEBFLOW_MAX_CONCURRENCY) {
+  const results = new Array(items.length)
+  let next = 0
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await worker(items[index], index)
+    }
+  })
+  await Promise.all(runners)
+  return results
+}
 
 // Webflow API helper with rate limit handling
 async function webflowRequest(endpoint, options = {}, retryCount = 0) {
-  // Global rate limiting - ensure minimum time between requests
-  const now = Date.now()
-  const timeSinceLastRequest = now - lastRequestTime
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    await sleep(MIN_REQUEST_INTERVAL - timeSinceLastRequest)
-  }
-  lastRequestTime = Date.now()
-  
   const baseUrl = 'https://api.webflow.com/v2'
   const maxRetries = 3
   
-  const response = await fetch(`${baseUrl}${endpoint}`, {
-    headers: {
-      'Authorization': `Bearer ${process.env.WEBFLOW_API_TOKEN}`,
-      'Content-Type': 'application/json',
-      ...options.headers
-    },
-    ...options
-  })
+  assertLeaseHeld()
+  await acquireRequestSlot()
+  let response
+  try {
+    response = await fetch(`${baseUrl}${endpoint}`, {
+      headers: {
+        'Authorization': `Bearer ${process.env.WEBFLOW_API_TOKEN}`,
+        'Content-Type': 'application/json',
+        ...options.headers
+      },
+      ...options
+    })
+  } catch (error) {
+    // No response at all (DNS, connection reset, timeout)
+    throw new WebflowServerError(0, error.message, endpoint, { cause: error })
+  } finally {
+    releaseRequestSlot(response)
+  }
   
-  // Handle rate limits with exponential backoff
+  // Rate limited: the limiter now holds every request for Retry-After, then retry
   if (response.status === 429 && retryCount < maxRetries) {
-    const waitTime = Math.pow(2, retryCount) * 1000 // 1s, 2s, 4s
-    console.log(`⏳ Rate limited, waiting ${waitTime/1000}s before retry ${retryCount + 1}/${maxRetries}`)
-    await new Promise(resolve => setTimeout(resolve, waitTime))
+    console.log(`⏳ Rate limited, pausing requests for ${((rateLimiter.pausedUntil - Date.now()) / 1000).toFixed(1)}s before retry ${retryCount + 1}/${maxRetries}`)
     return webflowRequest(endpoint, options, retryCount + 1)
   }
   
   if (!response.ok) {
     const errorBody = await response.text()
     console.error('Webflow API Error Response:', errorBody)
-    throw new Error(`Webflow API error: ${response.status} ${errorBody}`)
+    throw webflowError(response.status, errorBody, endpoint)
   }
   
   // Handle empty responses for DELETE requests
@@ -732,198 +1059,176 @@ async function webflowRequest(endpoint, options = {}, retryCount = 0) {
   return response.json()
 }
 
-// Update one item in a Webflow collection (using bulk PATCH with cmsLocaleId in payload)
-async function updateWebflowItem(collectionId, itemId, fieldData, localeId = null) {
-  try {
-    await sleep(1000) // throttle to avoid rate limits
-    
-    // DEBUG: Log what we're sending
-    if (fieldData.name === 'Tora Urup') {
-      console.log(`\n🐛 DEBUG - Updating Tora Urup:`)
-      console.log(`   Locale: ${localeId || 'PRIMARY'}`)
-      console.log(`   Portrait: ${fieldData['portrait-english']?.substring(0, 60)}...`)
-      console.log(`   Biography: ${fieldData['biography']?.substring(0, 60)}...`)
-    }
-    
-    // Use bulk PATCH with cmsLocaleId in the payload (works with Advanced Localization)
-    const itemPayload = {
-      id: itemId,
-      fieldData
+// Webflow accepts up to 100 items per bulk create/update/publish request
+const WEBFLOW_BATCH_SIZE = 100
+
+function chunkArray(items, size) {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size))
+  return chunks
+}
+
+// Send one bulk request per batch. If Webflow rejects a batch as invalid, it is split in half
+// and retried until the failing items are isolated, so each failure is attributed to the right
+// document. Any other error (auth, rate limit, outage) fails the batch as a whole: splitting
+// would only multiply the requests. `sendBatch` returns the entries that went through, or
+// { succeeded, failed } when a 2xx response still left some entries unaccounted for.
+async function runBulkBatches(entries, sendBatch) {
+  const succeeded = []
+  const failed = []
+
+  const send = async (batch) => {
+    let result
+    try {
+      result = await sendBatch(batch)
+    } catch (error) {
+      if (!(error instanceof WebflowValidationError) || batch.length === 1) {
+        batch.forEach(entry => failed.push({ entry, error: error.message }))
+        return
+      }
+      console.warn(`  ⚠️  Bulk request for ${batch.length} items rejected, splitting batch: ${error.message}`)
+      const half = Math.ceil(batch.length / 2)
+      await send(batch.slice(0, half))
+      await send(batch.slice(half))
+      return
     }
-    
-    // Include cmsLocaleId in payload if specified
-    if (localeId) {
-      itemPayload.cmsLocaleId = localeId
+    if (Array.isArray(result)) {
+      succeeded.push(...result)
+    } else {
+      succeeded.push(...result.succeeded)
+      failed.push(...result.failed)
     }
-    
-    const result = await webflowRequest(`/collections/${collectionId}/items`, {
-      method: 'PATCH',
-      body: JSON.stringify({ items: [itemPayload] })
-    })
-    
-    // Return the first item from the response
-    return result?.items?.[0] || result
-  } catch (error) {
-    console.error(`Update failed for ${itemId} (locale: ${localeId || 'primary'}):`, error.message)
-    throw error
   }
-}
 
-// Create/update secondary locale (German) for an item
-async function updateItemGermanLocale(collectionId, itemId, sanityItem, fieldMapper) {
-  if (!WEBFLOW_LOCALES['de-DE']) {
-    return // Skip if German locale not available
+  for (const batch of chunkArray(entries, WEBFLOW_BATCH_SIZE)) {
+    await send(batch)
   }
-  
-  try {
-    // For artworks with customImageSync, sanityItem might be a wrapped object
-    const actualItem = sanityItem._sanityItem || sanityItem
-    
-    let germanFields = {}
-    
-    if (fieldMapper) {
-      const result = await fieldMapper(actualItem, 'de-DE')
-      // If result has .fieldData (customImageSync), unwrap it
-      germanFields = result?.fieldData || result || {}
-    }
-    
-    // For artworks without standard fieldMapper, manually map German content
-    if (Object.keys(germanFields).length === 0 && actualItem.workTitle) {
-      germanFields['work-title'] = actualItem.workTitle?.de || ''
-      germanFields['description'] = actualItem.description?.de || ''
-    }
-    
-    // Use PATCH to update existing item's German locale (not POST which creates new item)
-    await webflowRequest(`/collections/${collectionId}/items/${itemId}`, {
+
+  return { succeeded, failed }
+}
+
+// Remove undefined values from fieldData to prevent validation errors
+function cleanFieldData(fieldData) {
+  return Object.fromEntries(
+    Object.entries(fieldData || {}).filter(([_, v]) => v !== undefined)
+  )
+}
+
+// Update items in one locale with bulk PATCH (cmsLocaleId in each item payload).
+// `updates` are { id, fieldData, isDraft?, isArchived?, ...context }; returns the succeeded and
+// failed entries. The archived state is left alone unless `isArchived` is given.
+async function updateWebflowItems(collectionId, updates, localeId = null) {
+  return runBulkBatches(updates, async (batch) => {
+    await webflowRequest(`/collections/${collectionId}/items`, {
       method: 'PATCH',
       body: JSON.stringify({
-        cmsLocaleId: WEBFLOW_LOCALES['de-DE'],
-        fieldData: germanFields
+        items: batch.map(u => ({
+          id: u.id,
+          ...(localeId ? { cmsLocaleId: localeId } : {}),
+          ...(u.isArchived !== undefined ? { isArchived: u.isArchived } : {}),
+          ...(u.isDraft !== undefined ? { isDraft: u.isDraft } : {}),
+          fieldData: cleanFieldData(u.fieldData)
+        }))
       })
     })
-    
-    console.log(`    🇩🇪 Updated German locale`)
-  } catch (error) {
-    console.warn(`    ⚠️  Failed to create/update German locale: ${error.message}`)
-  }
+    return batch
+  })
 }
 
-// Create items in Webflow using bulk endpoint with both locales
-async function createWebflowItems(collectionId, items, progressCallback = null) {
-  const results = []
-  
-  // Process items one at a time to properly create linked EN+DE variants
-  for (let i = 0; i < items.length; i++) {
-    const item = items[i]
-    console.log(`Creating item ${i + 1}/${items.length}...`)
-    
-    try {
-      // Step 1: Create linked item in BOTH locales using /bulk endpoint
-      // This should create ONE item with both EN and DE locales (same ID)
-      // Filter out undefined values from fieldData to prevent validation errors
-      const cleanFieldData = Object.fromEntries(
-        Object.entries(item.fieldData).filter(([_, v]) => v !== undefined)
-      )
-      
-      if (i < 3) {
-        console.log(`  🧪 Payload sample (${i + 1}):`) 
-        console.log(`    raw keys: ${Object.keys(item.fieldData).join(', ')}`)
-        console.log(`    clean keys: ${Object.keys(cleanFieldData).join(', ')}`)
-        console.log('    clean fieldData:', JSON.stringify(cleanFieldData, null, 2))
-      }
+// Create items in Webflow in batches, linked across all locales (same item ID), then patch
+// each secondary locale's content. `items` are { fieldData, localeFieldData, ...context } with
+// localeFieldData keyed by CMS locale ID; created items are matched back to their input by
+// slug. An item the response cannot be matched to is reported as failed together with the
+// unmatched IDs Webflow returned, never created again. Created items whose secondary-locale
+// update failed are listed in `localeFailed` ({ entry, webflowId, locale, error }). Publishing is
+// left to the caller; `isDraft` creates staged drafts.
+async function createWebflowItems(collectionId, items, progressCallback = null, { isDraft = !FLAG_PUBLISH } = {}) {
+  const localeIds = allLocaleIds()
+  let createdCount = 0
 
-      const createResult = await webflowRequest(`/collections/${collectionId}/items/bulk`, {
-        method: 'POST',
-        body: JSON.stringify({
-          cmsLocaleIds: [WEBFLOW_LOCALES['en-US'], WEBFLOW_LOCALES['de-DE']],
-          isDraft: !FLAG_PUBLISH,
-          fieldData: cleanFieldData
-        })
+  const { succeeded, failed } = await runBulkBatches(items, async (batch) => {
+    const createResult = await webflowRequest(`/collections/${collectionId}/items/bulk`, {
+      method: 'POST',
+      body: JSON.stringify({
+        cmsLocaleIds: localeIds,
+        isDraft,
+        fieldData: batch.map(entry => cleanFieldData(entry.fieldData))
       })
-      
-      const createdItem = createResult?.items?.[0]
-      if (!createdItem) {
-        throw new Error('No item returned from bulk create')
-      }
-      
-      results.push(createdItem)
-      console.log(`  ✅ Created EN+DE: ${createdItem.id}`)
-      
-      // Emit progress event for every item (progress bar)
-      if (progressCallback) {
-        progressCallback({
-          progress: {
-            phase: 'Creating items',
-            message: `Created ${i + 1} of ${items.length}`,
-            current: i + 1,
-            total: items.length
-          }
-        })
-      }
-      
-      // Emit toast notification for first, milestones, and last items
-      if (progressCallback && (i === 0 || (i + 1) % 25 === 0 || i === items.length - 1)) {
-        progressCallback({
-          itemCreated: item.fieldData?.name || item.fieldData?.slug || createdItem.id
-        })
-      }
-      
-      // Step 2: Update DE locale with German-specific content if available
-      // (The bulk create uses EN content by default, now we patch DE)
-      if (item.germanFieldData) {
-        try {
-          console.log(`  🔍 German fields present: ${Object.keys(item.germanFieldData).length} fields`)
-          console.log(`  🔍 Sample German data:`, JSON.stringify({
-            'hero-headline': item.germanFieldData['hero-headline'],
-            'intro': item.germanFieldData['intro']?.substring(0, 50),
-            'section-1-text-2': item.germanFieldData['section-1-text-2']?.substring(0, 50)
-          }, null, 2))
-          await sleep(800)
-          await webflowRequest(`/collections/${collectionId}/items/${createdItem.id}`, {
-            method: 'PATCH',
-            body: JSON.stringify({
-              cmsLocaleId: WEBFLOW_LOCALES['de-DE'],
-              fieldData: item.germanFieldData
-            })
-          })
-          console.log(`  🇩🇪 Updated German content`)
-        } catch (deError) {
-          console.warn(`  ⚠️  Failed to update DE locale: ${deError.message}`)
-        }
+    })
+
+    // The response repeats each item once per locale; attribute by slug
+    const createdBySlug = new Map()
+    const returnedIds = new Set()
+    for (const created of createResult?.items || []) {
+      const slug = created.fieldData?.slug
+      if (slug && !createdBySlug.has(slug)) createdBySlug.set(slug, created)
+      if (created.id) returnedIds.add(created.id)
+    }
+
+    const matched = []
+    const unmatched = []
+    for (const entry of batch) {
+      const created = createdBySlug.get(entry.fieldData.slug)
+      if (created) {
+        matched.push({ entry, webflowItem: created })
+        returnedIds.delete(created.id)
       } else {
-        console.log(`  ⚠️  No germanFieldData - DE will have EN content`)
+        unmatched.push(entry)
       }
-      
-      // Step 3: Publish if requested
-      if (FLAG_PUBLISH) {
-        try {
-          await webflowRequest(`/collections/${collectionId}/items/publish`, {
-            method: 'POST',
-            body: JSON.stringify({
-              items: [{
-                id: createdItem.id,
-                cmsLocaleIds: [WEBFLOW_LOCALES['en-US'], WEBFLOW_LOCALES['de-DE']]
-              }]
-            })
-          })
-          console.log(`  🚀 Published both locales`)
-        } catch (publishError) {
-          console.warn(`  ⚠️  Failed to publish: ${publishError.message}`)
+    }
+
+    // The request succeeded, so these items may exist under a changed slug: report them with the
+    // IDs nobody claimed instead of creating them again
+    const webflowIds = [...returnedIds]
+    const failedMatches = unmatched.map(entry => ({
+      entry,
+      error: `No item returned from bulk create for slug ${entry.fieldData.slug}${webflowIds.length ? ` (unmatched Webflow IDs: ${webflowIds.join(', ')})` : ''}`,
+      webflowIds
+    }))
+
+    createdCount += matched.length
+    console.log(`  ✅ Created ${createdCount}/${items.length} (${localeIds.length} locales)`)
+    if (progressCallback) {
+      progressCallback({
+        progress: {
+          phase: 'Creating items',
+          message: `Created ${createdCount} of ${items.length}`,
+          current: createdCount,
+          total: items.length
         }
-      }
-      
-    } catch (error) {
-      console.error(`  ❌ Failed to create item:`, error.message)
-      throw error
+      })
+      progressCallback({
+        itemCreated: batch[0].fieldData?.name || batch[0].fieldData?.slug || matched[0]?.webflowItem.id
+      })
     }
+    return { succeeded: matched, failed: failedMatches }
+  })
+
+  // The bulk create uses primary content for every locale, now patch each secondary locale
+  const localeFailed = []
+  for (const locale of secondaryLocales()) {
+    const localeUpdates = succeeded
+      .filter(c => c.entry.localeFieldData?.[locale.cmsLocaleId])
+      .map(c => ({ id: c.webflowItem.id, fieldData: c.entry.localeFieldData[locale.cmsLocaleId], created: c }))
+    if (localeUpdates.length === 0) continue
+    const result = await updateWebflowItems(collectionId, localeUpdates, locale.cmsLocaleId)
+    console.log(`  🌍 Updated ${locale.tag} content for ${result.succeeded.length} new items`)
+    result.failed.forEach(f => {
+      console.warn(`  ⚠️  Failed to update ${locale.tag} locale for ${f.entry.id}: ${f.error}`)
+      localeFailed.push({ entry: f.entry.created.entry, webflowId: f.entry.id, locale, error: f.error })
+    })
   }
-  
-  return results
+
+  failed.forEach(f => console.error(`  ❌ Failed to create ${f.entry.fieldData?.slug || 'item'}: ${f.error}`))
+  return { created: succeeded, failed, localeFailed }
 }
 
-// Publish items in batches (publishes BOTH EN and DE locales)
+// Publish items in batches (publishes every configured locale). A batch is retried up to 3
+// times; returns { published, failed } with the item IDs that went live and the ones that did not
 async function publishWebflowItems(collectionId, itemIds, progressCallback = null) {
-  const batchSize = 50
+  const batchSize = WEBFLOW_BATCH_SIZE
+  const published = []
+  const failed = []
   for (let i = 0; i < itemIds.length; i += batchSize) {
     const batch = itemIds.slice(i, i + batchSize)
     let attempt = 0
@@ -932,13 +1237,13 @@ async function publishWebflowItems(collectionId, itemIds, progressCallback = nul
       try {
         console.log(`  🚀 Publishing batch ${Math.floor(i/batchSize)+1}/${Math.ceil(itemIds.length/batchSize)} (${batch.length} items)...`)
         
-        // Use new format with cmsLocaleIds to publish BOTH EN and DE locales
+        // Use new format with cmsLocaleIds to publish every locale
         await webflowRequest(`/collections/${collectionId}/items/publish`, {
           method: 'POST',
           body: JSON.stringify({ 
             items: batch.map(id => ({
               id,
-              cmsLocaleIds: [WEBFLOW_LOCALES['en-US'], WEBFLOW_LOCALES['de-DE']]
+              cmsLocaleIds: allLocaleIds()
             }))
           })
         })
@@ -955,50 +1260,46 @@ async function publishWebflowItems(collectionId, itemIds, progressCallback = nul
           })
         }
         
+        published.push(...batch)
         break
       } catch (e) {
+        assertLeaseHeld() // No retries once the run has to stop
         attempt++
+        if (attempt >= maxAttempts) {
+          console.error(`  ❌ Publish failed after ${maxAttempts} attempts: ${e.message}`)
+          failed.push(...batch.map(id => ({ id, error: e.message })))
+          break
+        }
         const wait = Math.pow(2, attempt) * 1000
         console.warn(`  ⚠️  Publish failed (attempt ${attempt}/${maxAttempts}): ${e.message}. Retrying in ${wait/1000}s...`)
         await sleep(wait)
       }
     }
   }
+  return { published, failed }
 }
 
 // Delete items from Webflow (with batch processing)
 async function deleteWebflowItems(collectionId, itemIds) {
   const results = []
-  const batchSize = 50 // Can use a larger batch size for logging, requests are sequential
+  const batchSize = 50 // Batches are only for progress logging
   
   for (let i = 0; i < itemIds.length; i += batchSize) {
     const batch = itemIds.slice(i, i + batchSize)
     console.log(`  🗑️  Deleting batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(itemIds.length/batchSize)} (${batch.length} items)`)
     
-    // Process items sequentially within the batch
-    for (const itemId of batch) {
-      let attempts = 0
-      while (attempts < 3) {
-        try {
-          await webflowRequest(`/collections/${collectionId}/items/${itemId}`, {
-            method: 'DELETE'
-          })
-          results.push({ itemId, status: 'deleted' })
-          break // Success, exit while loop
-        } catch (error) {
-          attempts++
-          if (error.message.includes('429') && attempts < 3) {
-            const waitTime = attempts * 2000 // 2s, 4s
-            console.log(`  ⏳ Rate limited, retrying ${itemId} in ${waitTime/1000}s...`)
-            await new Promise(resolve => setTimeout(resolve, waitTime))
-            continue
-          }
-          console.warn(`  ⚠️  Failed to delete ${itemId}: ${error.message}`)
-          results.push({ itemId, status: 'error', error: error.message })
-          break // Failure, exit while loop
-        }
+    // Delete concurrently within the batch (rate limiting and 429 retries happen in webflowRequest)
+    await mapWithConcurrency(batch, async (itemId) => {
+      try {
+        await webflowRequest(`/collections/${collectionId}/items/${itemId}`, {
+          method: 'DELETE'
+        })
+        results.push({ itemId, status: 'deleted' })
+      } catch (error) {
+        console.warn(`  ⚠️  Failed to delete ${itemId}: ${error.message}`)
+        results.push({ itemId, status: 'error', error: error.message })
       }
-    }
+    })
   }
   
   const successCount = results.filter(r => r.status === 'deleted').length
@@ -1011,61 +1312,61 @@ async function deleteWebflowItems(collectionId, itemIds) {
   return results
 }
 
+// Fetch every page of a collection's items. The first page reports the total, so the
+// remaining pages are requested concurrently; without a total, pages are walked in order.
+async function fetchAllItemPages(collectionId, query = '') {
+  const limit = 100
+  const first = await webflowRequest(`/collections/${collectionId}/items?limit=${limit}&offset=0${query}`)
+  const items = [...(first.items || [])]
+  if ((first.items || []).length < limit) return items
+
+  const total = first.pagination?.total
+  if (Number.isFinite(total)) {
+    const offsets = []
+    for (let offset = limit; offset < total; offset += limit) offsets.push(offset)
+    const pages = await mapWithConcurrency(offsets, offset =>
+      webflowRequest(`/collections/${collectionId}/items?limit=${limit}&offset=${offset}${query}`)
+    )
+    pages.forEach(page => items.push(...(page.items || [])))
+    return items
+  }
+
+  let offset = limit
+  while (true) {
+    const result = await webflowRequest(`/collections/${collectionId}/items?limit=${limit}&offset=${offset}${query}`)
+    const page = result.items || []
+    items.push(...page)
+    if (page.length < limit) break
+    offset += limit
+  }
+  return items
+}
+
 // Get current Webflow items for comparison (with pagination)
-// Fetches from ALL locales to detect orphans in secondary locales
+// Fetches from ALL locales to detect orphans in secondary locales. Read failures are thrown:
+// an empty list would make every unmapped item look new and every existing item an orphan
 async function getWebflowItems(collectionId) {
-  try {
-    let allItemsById = new Map() // Use Map to dedupe by ID
-    let offset = 0
-    const limit = 100
-    
-    // Fetch from primary locale (EN)
-    while (true) {
-      await sleep(500) // Add delay between pagination requests
-      const result = await webflowRequest(`/collections/${collectionId}/items?limit=${limit}&offset=${offset}`)
-      const items = result.items || []
-      
-      items.forEach(item => allItemsById.set(item.id, item))
-      
-      // If we got fewer items than the limit, we've reached the end
-      if (items.length < limit) {
-        break
-      }
-      
-      offset += limit
-    }
-    
-    // Also fetch from German locale to catch orphans that only exist there
-    if (WEBFLOW_LOCALES['de-DE']) {
-      offset = 0
-      while (true) {
-        await sleep(500)
-        const result = await webflowRequest(`/collections/${collectionId}/items?limit=${limit}&offset=${offset}&locale=${WEBFLOW_LOCALES['de-DE']}`)
-        const items = result.items || []
-        
-        items.forEach(item => {
-          // Only add if not already in map (primary locale takes precedence)
-          if (!allItemsById.has(item.id)) {
-            allItemsById.set(item.id, item)
-          }
-        })
-        
-        if (items.length < limit) {
-          break
-        }
-        
-        offset += limit
+  let allItemsById = new Map() // Use Map to dedupe by ID
+  
+  // Fetch from primary locale
+  const primaryItems = await fetchAllItemPages(collectionId)
+  primaryItems.forEach(item => allItemsById.set(item.id, item))
+  
+  // Also fetch every secondary locale to catch orphans that only exist there
+  for (const locale of WEBFLOW_LOCALES.secondary) {
+    const localeItems = await fetchAllItemPages(collectionId, `&cmsLocaleId=${locale.cmsLocaleId}`)
+    localeItems.forEach(item => {
+      // Only add if not already in map (primary locale takes precedence)
+      if (!allItemsById.has(item.id)) {
+        allItemsById.set(item.id, item)
       }
-    }
-    
-    const allItems = Array.from(allItemsById.values())
-    
-    console.log(`  📄 Found ${allItems.length} existing items`)
-    return allItems
-  } catch (error) {
-    console.error(`Failed to get Webflow items:`, error.message)
-    return []
+    })
   }
+  
+  const allItems = Array.from(allItemsById.values())
+  
+  console.log(`  📄 Found ${allItems.length} existing items`)
+  return allItems
 }
 
 // Clear existing items from a collection
@@ -1127,109 +1428,62 @@ function generateMD5Hash(buffer) {
   return crypto.createHash('md5').update(buffer).digest('hex')
 }
 
+// Delta hash over the primary fields (without slug) plus every secondary locale's fields,
+// so a change to a single translation still triggers an update
+function localizedHash(fieldData, localeFieldData = {}) {
+  const { slug, ...hashed } = fieldData
+  for (const locale of WEBFLOW_LOCALES.secondary) {
+    const fields = localeFieldData[locale.cmsLocaleId]
+    if (!fields) continue
+    for (const [field, value] of Object.entries(fields)) {
+      hashed[`${locale.tag}:${field}`] = value
+    }
+  }
+  return hashObjectStable(hashed)
+}
+
+// Hash with keys sorted at every level, so nested values such as image URLs and alt texts count
 function hashObjectStable(obj) {
-  // Create a version that includes image asset metadata for reliable change detection
-  const objWithImageMetadata = addImageMetadataToHash(obj)
-  const json = JSON.stringify(objWithImageMetadata, Object.keys(objWithImageMetadata).sort())
-  return generateMD5Hash(Buffer.from(json))
+  return generateMD5Hash(Buffer.from(stableStringify(obj)))
 }
 
-// Helper to include image asset IDs/URLs in hash for reliable change detection
-// This ensures image changes (new URLs) are detected even if other fields are unchanged
-function addImageMetadataToHash(obj) {
-  if (!obj || typeof obj !== 'object') return obj
-  if (Array.isArray(obj)) return obj.map(addImageMetadataToHash)
-  
-  const result = {}
-  for (const [key, value] of Object.entries(obj)) {
-    // For image objects {url, alt}, include the URL in hash (URL changes = image changed)
-    if (value && typeof value === 'object' && !Array.isArray(value)) {
-      if (value.url && typeof value.url === 'string') {
-        // Image object - include URL in hash to detect image changes
-        result[key] = {
-          ...value,
-          _hashUrl: value.url // Include URL in hash to detect image changes
-        }
-      } else {
-        // Nested object - recurse
-        result[key] = addImageMetadataToHash(value)
-      }
-    } else if (Array.isArray(value)) {
-      // Array - check if it contains image objects
-      result[key] = value.map(item => {
-        if (item && typeof item === 'object' && item.url) {
-          return { ...item, _hashUrl: item.url }
-        }
-        return addImageMetadataToHash(item)
-      })
-    } else {
-      result[key] = value
-    }
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
   }
-  return result
+  return JSON.stringify(value) ?? 'null'
 }
 
-// Extract all image URLs from fieldData (for comparison)
-function extractImageUrls(obj, urls = []) {
-  if (!obj || typeof obj !== 'object') return urls
-  if (Array.isArray(obj)) {
-    obj.forEach(item => {
-      if (item && typeof item === 'object' && item.url) {
-        urls.push(item.url)
-      } else {
-        extractImageUrls(item, urls)
-      }
-    })
-  } else {
-    Object.values(obj).forEach(value => {
-      if (value && typeof value === 'object') {
-        if (value.url && typeof value.url === 'string') {
-          urls.push(value.url)
-        } else {
-          extractImageUrls(value, urls)
-        }
-      }
-    })
-  }
-  return urls
+// Empty values (undefined, null, '' or []) all mean the field is unset
+function isEmptyFieldValue(v) {
+  return v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0)
 }
 
-// Compare image URLs from Webflow vs Sanity to detect changes
-// This is the reliable way: compare actual URLs, not timestamps
-async function checkIfImagesChanged(webflowItemId, newImageUrls, collectionId) {
-  if (!webflowItemId || newImageUrls.length === 0) return false
-  
-  try {
-    // Fetch current Webflow item to get existing image URLs
-    const currentItem = await webflowRequest(`/collections/${collectionId}/items/${webflowItemId}`)
-    if (!currentItem || !currentItem.fieldData) return false
-    
-    const currentImageUrls = extractImageUrls(currentItem.fieldData)
-    
-    // Compare URLs - if different, images changed
-    const currentSorted = currentImageUrls.sort().join('|')
-    const newSorted = newImageUrls.sort().join('|')
-    
-    if (currentSorted !== newSorted) {
-      console.log(`  🖼️  Image URLs differ: ${currentImageUrls.length} current vs ${newImageUrls.length} new`)
-      return true
+// Images are compared by alt text: Webflow stores its own URL for an uploaded image
+function comparableFieldValue(v) {
+  if (Array.isArray(v)) return v.map(comparableFieldValue)
+  if (v && typeof v === 'object' && typeof v.url === 'string') return { alt: v.alt || '' }
+  return v
+}
+
+// Field-level diff between live Webflow fieldData and freshly mapped fieldData (plan mode)
+function diffFieldData(current = {}, next = {}) {
+  const changes = []
+  for (const [field, value] of Object.entries(next)) {
+    const before = current[field]
+    if (isEmptyFieldValue(before) && isEmptyFieldValue(value)) continue
+    if (JSON.stringify(comparableFieldValue(before)) !== JSON.stringify(comparableFieldValue(value))) {
+      changes.push({ field, from: before ?? null, to: value ?? null })
     }
-    
-    return false
-  } catch (error) {
-    // If we can't fetch, assume no change (don't force update on error)
-    console.warn(`  ⚠️  Could not check image changes: ${error.message}`)
-    return false
   }
+  return changes
 }
 
 function sleep(ms){ return new Promise(r=>setTimeout(r, ms)) }
 
 async function uploadImageToWebflow(imageUrl, siteName, altText = null, originalFilename = null) {
   try {
-    // Add a 5-second delay to respect asset creation rate limits
-    await new Promise(resolve => setTimeout(resolve, 5000))
-
     // 1. Download image from Sanity
     console.log(`  📥 Downloading: ${imageUrl}`)
     const imageBuffer = await downloadImageBuffer(imageUrl)
@@ -1311,264 +1565,658 @@ async function uploadImageToWebflow(imageUrl, siteName, altText = null, original
   }
 }
 
-async function syncArtworkImages(artworkImages) {
-  if (!artworkImages || artworkImages.length === 0) {
-    return []
-  }
-  
-  console.log(`  🖼️  Syncing ${artworkImages.length} images with incremental logic...`)
-  const webflowAssetIds = []
-  let uploadedCount = 0
-  let updatedCount = 0
-  let skippedCount = 0
-  
-  for (const image of artworkImages) {
-    if (!image.asset?.url) continue
-    
-    const sanityAssetId = image.asset._id
-    const originalFilename = image.asset.originalFilename || ''
-    const imageUrl = image.asset.url
-    
-    // Create enhanced alt text from artwork context
-    const altText = image.alt?.en || image.alt?.de || ''
-    const artworkContext = image.artworkContext
-    
-    let enhancedAltText = altText
-    if (!enhancedAltText && artworkContext) {
-      // Build descriptive text from artwork data
-      const parts = []
-      if (artworkContext.creatorName) parts.push(artworkContext.creatorName)
-      if (artworkContext.workTitle) parts.push(artworkContext.workTitle)
-      else if (artworkContext.name) parts.push(artworkContext.name)
-      
-      enhancedAltText = parts.join(' - ')
-    }
-    
-    // Check if we've seen this image before
-    const existingAsset = assetMappings.get(sanityAssetId)
-    
-    if (!existingAsset) {
-      // New image - upload it
-      console.log(`  📤 Uploading new image: ${originalFilename}`)
-      console.log(`  🏷️  Enhanced description: ${enhancedAltText}`)
-        
-      const assetId = await uploadImageToWebflow(
-        imageUrl, 
-        'artwork', 
-        enhancedAltText, 
-        originalFilename
-      )
-      
-      if (assetId) {
-        // Track this asset
-        assetMappings.set(sanityAssetId, {
-          webflowAssetId: assetId,
-          altText: enhancedAltText,
-          filename: originalFilename,
-          url: imageUrl,
-          lastUpdated: new Date().toISOString()
-        })
-        
-        webflowAssetIds.push(assetId)
-        uploadedCount++
-      }
-    } else if (hasImageMetadataChanged({...image, alt: {en: enhancedAltText}}, existingAsset)) {
-      // Metadata changed - update tracking (no API call needed)
-      console.log(`  🔄 Updating metadata for: ${originalFilename}`)
-      console.log(`  🏷️  New description: ${enhancedAltText}`)
-      
-      // Update tracking (skip API call since it doesn't work)
-      assetMappings.set(sanityAssetId, {
-        ...existingAsset,
-        altText: enhancedAltText,
-        filename: originalFilename,
-        url: imageUrl,
-        lastUpdated: new Date().toISOString()
-      })
-      updatedCount++
-      
-      webflowAssetIds.push(existingAsset.webflowAssetId)
-    } else {
-      // No change - skip
-      console.log(`  ⏭️  Skipping unchanged image: ${originalFilename}`)
-      webflowAssetIds.push(existingAsset.webflowAssetId)
-      skippedCount++
-    }
+// ═══════════════════════════════════════════════════════════════════════════════
+// SYNC RUN HISTORY (one syncRun record per run, see /api/sync-runs)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Trigger recorded for runs that do not name one
+const DEFAULT_TRIGGER = require.main === module ? 'cli' : 'api'
+
+function createSyncRun(type, trigger, details = {}) {
+  return {
+    id: crypto.randomUUID(),
+    type, // full, job, single-item, delete, publish-scheduled, purge-quarantine
+    trigger: trigger || DEFAULT_TRIGGER, // cli, api, webhook, cron
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    details,
+    totals: null,
+    collections: [],
+    skipped: [],
+    error: null
+  }
+}
+
+// Counters and item lists of one collection in the current run (null outside a recorded run)
+function runCollection(key) {
+  const run = global.SYNC_RUN
+  if (!run) return null
+  let section = run.collections.find(c => c.collection === key)
+  if (!section) {
+    section = {
+      collection: key,
+      name: COLLECTIONS_BY_KEY[key]?.name || key,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      deleted: 0,
+      errors: 0,
+      changes: [], // { sanityId, webflowId, action }
+      deletedWebflowIds: [],
+      failed: [] // { sanityId, error }
+    }
+    run.collections.push(section)
+  }
+  return section
+}
+
+// Record a removed item. Archived and unpublished items count as deleted, but only items that
+// are really gone are listed in deletedWebflowIds
+function recordRemoval(key, webflowId, action, sanityId = null) {
+  const section = runCollection(key)
+  if (!section) return
+  section.deleted++
+  section.changes.push({ sanityId, webflowId, action })
+  if (action === 'deleted') section.deletedWebflowIds.push(webflowId)
+}
+
+async function saveSyncRun(run) {
+  const sum = field => run.collections.reduce((total, c) => total + c[field], 0)
+  run.totals = { created: sum('created'), updated: sum('updated'), unchanged: sum('unchanged'), deleted: sum('deleted'), errors: sum('errors') }
+  try {
+    await stateStore.saveRun(run)
+  } catch (error) {
+    console.warn(`⚠️  Failed to save sync run ${run.id}: ${error.message}`)
   }
-  
-  console.log(`  ✅ Image sync complete: ${uploadedCount} uploaded, ${updatedCount} updated, ${skippedCount} skipped`)
-  return webflowAssetIds
 }
 
-// Universal duplicate-aware collection sync helper with UPSERT and delta detection
-async function syncCollection(options, progressCallback = null) {
-  const {
-    name,
-    collectionId,
-    mappingKey,
-    sanityQuery,
-    fieldMapper,
-    customImageSync = null,
-    limit = null
-  } = options
-  
-    console.log(`📋 Syncing ${name}...`)
-  
-  let sanityData = await sanityClient.fetch(sanityQuery)
-  const dataArray = Array.isArray(sanityData) ? sanityData : (sanityData ? [sanityData] : [])
-  
-  if (limit && Number.isFinite(limit)) {
-    const capped = Math.max(0, Number(limit))
-    if (dataArray.length > capped) {
-      console.log(`  🔎 Limiting to first ${capped} of ${dataArray.length} ${name}`)
-      sanityData = dataArray.slice(0, capped)
-    } else {
-      sanityData = dataArray
-    }
-  } else {
-    sanityData = dataArray
+// Run `fn` as a recorded sync run, saved when it starts and when it ends
+async function recordSyncRun(type, trigger, details, fn) {
+  const run = createSyncRun(type, trigger, details)
+  global.SYNC_RUN = run
+  await saveSyncRun(run)
+  await reportProgress({ phase: 'Running' }, { force: true })
+  try {
+    const result = await fn()
+    run.status = 'completed'
+    if (Array.isArray(result?.skipped)) run.skipped = result.skipped
+    return result && typeof result === 'object' ? { ...result, runId: run.id } : result
+  } catch (error) {
+    run.status = 'failed'
+    run.error = error.message
+    throw error
+  } finally {
+    delete global.SYNC_RUN
+    run.finishedAt = new Date().toISOString()
+    await saveSyncRun(run)
+    await finishProgress(run)
+    console.log(`🧾 Sync run ${run.id} ${run.status}`)
   }
-  
-  console.log(`  • Total Sanity items: ${sanityData.length}`)
-  
-  // Get existing Webflow items for adoption logic
-  const existingWebflowItems = await getWebflowItems(collectionId)
-  const webflowBySlug = new Map()
-  for (const wfItem of existingWebflowItems) {
-    const slug = wfItem?.fieldData?.slug
-    if (slug) webflowBySlug.set(slug, wfItem)
+}
+
+async function listSyncRuns(options = {}) {
+  return stateStore.listRuns(options)
+}
+
+async function getSyncRun(id) {
+  return stateStore.getRun(id)
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SYNC PROGRESS (one persisted progress record, see /api/sync-status)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const PROGRESS_SAVE_INTERVAL_MS = 5000
+// A run that has not reported for this long was cut off (function timeout, crash)
+const PROGRESS_STALE_MS = 10 * 60 * 1000
+
+let syncProgress = null
+let progressSavedAt = 0
+let progressWrite = Promise.resolve()
+
+// Update the progress of the current run. Saves are throttled and never overlap; `force`
+// saves right away (start, end, new step). Outside a recorded run this does nothing
+function reportProgress(update, { force = false } = {}) {
+  const run = global.SYNC_RUN
+  if (!run) return progressWrite
+  if (!syncProgress || syncProgress.runId !== run.id) {
+    syncProgress = {
+      runId: run.id,
+      type: run.type,
+      trigger: run.trigger,
+      startedAt: run.startedAt,
+      running: true,
+      phase: null,
+      message: null,
+      collection: null,
+      current: 0,
+      total: 0,
+      stepStartedAt: new Date().toISOString()
+    }
+  }
+  // A new total starts a new step, its ETA is measured from here
+  if ('total' in update && update.total !== syncProgress.total) {
+    syncProgress.stepStartedAt = new Date().toISOString()
+  }
+  Object.assign(syncProgress, update, { updatedAt: new Date().toISOString() })
+  if (!force && Date.now() - progressSavedAt < PROGRESS_SAVE_INTERVAL_MS) return progressWrite
+  return saveProgress()
+}
+
+function saveProgress() {
+  progressSavedAt = Date.now()
+  const snapshot = { ...syncProgress }
+  progressWrite = progressWrite
+    .then(() => stateStore.saveProgress(snapshot))
+    .catch(error => console.warn(`⚠️  Failed to save sync progress: ${error.message}`))
+  return progressWrite
+}
+
+// Close the progress record of a run that ended (or paused between job invocations)
+async function finishProgress(run, update = {}) {
+  if (!syncProgress || syncProgress.runId !== run.id) return
+  Object.assign(syncProgress, { running: false, phase: 'Finished', status: run.status, finishedAt: run.finishedAt, updatedAt: new Date().toISOString() }, update)
+  await saveProgress()
+}
+
+// Seconds left in the current step, from the rate it has run at so far
+function progressEta(progress, now = Date.now()) {
+  const elapsed = (now - Date.parse(progress.stepStartedAt)) / 1000
+  if (!(progress.current > 0) || !(progress.total > progress.current) || !(elapsed > 0)) return null
+  return Math.round(elapsed / progress.current * (progress.total - progress.current))
+}
+
+// Current run, last finished run and mapped items per collection
+async function getSyncStatus() {
+  const [progress, runs, mappings] = await Promise.all([
+    stateStore.loadProgress(),
+    stateStore.listRuns({ limit: 10 }),
+    stateStore.countMappings()
+  ])
+  const now = Date.now()
+  const stale = !!progress?.running && now - Date.parse(progress.updatedAt) > PROGRESS_STALE_MS
+  const current = progress?.running && !stale ? { ...progress, etaSeconds: progressEta(progress, now) } : null
+  return {
+    running: !!current,
+    current,
+    ...(stale ? { stalled: progress } : {}),
+    lastRun: runs.find(run => run.status !== 'running') || null,
+    mappings
   }
-  
-  // Process items and check for duplicates
-  const newItems = []
-  const updateItems = []
-  let existingCount = 0
-  
-  for (const item of sanityData) {
-    let existingId = idMappings[mappingKey].get(item._id) || item.webflowId || null
-    
-    // Prepare mapped fields (used for both create and update)
-    let mappedFieldsForId
-    try {
-      if (customImageSync) {
-        mappedFieldsForId = await customImageSync(item)
-        mappedFieldsForId = mappedFieldsForId.fieldData
-      } else {
-        mappedFieldsForId = fieldMapper(item)
-      }
-    } catch (e) {
-      console.warn(`  ⚠️  Field mapping failed for ${item._id}: ${e.message}`)
-      continue
-    }
+}
 
-    // Verify webflowId still exists, clear if stale
-    if (existingId) {
+// ═══════════════════════════════════════════════════════════════════════════════
+// SYNC LOCK (one writing run at a time, across function instances)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Every run that writes to Webflow or the mappings holds a lease in the state store. The lease
+// expires after SYNC_LOCK_TTL_MS unless the heartbeat renews it, so a crashed run frees it
+const SYNC_LOCK_TTL_MS = Number(process.env.SYNC_LOCK_TTL_MS) || 60000
+const SYNC_LOCK_WAIT_MS = Number(process.env.SYNC_LOCK_WAIT_MS) || 10000 // Before giving up (409) or queueing
+// No queued request is started later than this after the lock was taken, so a drain does not run
+// into the function's maxDuration (300s). What is left stays queued for the next run
+const SYNC_QUEUE_DRAIN_DEADLINE_MS = Number(process.env.SYNC_QUEUE_DRAIN_DEADLINE_MS) || 270000
+
+// Lease of the run in progress in this instance, checked by assertLeaseHeld()
+let activeLease = null
+
+async function acquireSyncLock(type, trigger, { waitMs = SYNC_LOCK_WAIT_MS, from = null } = {}) {
+  const lock = { holder: crypto.randomUUID(), type, trigger: trigger || DEFAULT_TRIGGER, acquiredAt: new Date().toISOString() }
+  const deadline = Date.now() + waitMs
+  for (;;) {
+    const { acquired, holder } = await stateStore.acquireLock(lock, SYNC_LOCK_TTL_MS, { from })
+    if (acquired) break
+    if (Date.now() >= deadline) throw new SyncLockedError(holder)
+    await sleep(1000)
+  }
+
+  // Renewals that fail for a whole TTL lose the lease as well: it expired in the store
+  const lease = { lock, lost: false, expiresAt: Date.now() + SYNC_LOCK_TTL_MS }
+  const heartbeat = setInterval(() => {
+    const renewedAt = Date.now()
+    stateStore.renewLock(lock, SYNC_LOCK_TTL_MS)
+      .then(renewed => {
+        if (renewed) {
+          lease.expiresAt = renewedAt + SYNC_LOCK_TTL_MS
+        } else if (!lease.lost) {
+          lease.lost = true
+          console.error(`🔒 Sync lock ${lock.holder} was lost, stopping the run`)
+        }
+      })
+      .catch(error => console.warn(`⚠️  Failed to renew the sync lock: ${error.message}`))
+  }, Math.floor(SYNC_LOCK_TTL_MS / 3))
+  heartbeat.unref?.()
+  activeLease = lease
+
+  return Object.assign(lease, {
+    release: async () => {
+      clearInterval(heartbeat)
+      if (activeLease === lease) activeLease = null
       try {
-        await webflowRequest(`/collections/${collectionId}/items/${existingId}`)
+        await stateStore.releaseLock(lock)
       } catch (error) {
-        if (error.message.includes('404')) {
-          console.log(`  ❌ Stale webflowId ${existingId} not found, clearing mapping`)
-          idMappings[mappingKey].delete(item._id)
-          const key = `${mappingKey}:${item._id}`
-          persistentHashes.delete(key)
-          existingId = null
-        }
+        console.warn(`⚠️  Failed to release the sync lock (it expires on its own): ${error.message}`)
       }
-    }
-
-    // If no ID, try to adopt by slug
-    if (!existingId && mappedFieldsForId?.slug) {
-      const adopt = webflowBySlug.get(mappedFieldsForId.slug)
-      if (adopt?.id) {
-        existingId = adopt.id
-        idMappings[mappingKey].set(item._id, existingId)
-        console.log(`  ↳ Adopted existing item by slug for ${mappingKey}:${item._id} → ${existingId}`)
+    },
+    // Keep the lease for `ttlMs` without a heartbeat, for a holder that comes back later
+    park: async (ttlMs) => {
+      clearInterval(heartbeat)
+      if (activeLease === lease) activeLease = null
+      try {
+        if (!(await stateStore.renewLock(lock, ttlMs))) console.warn(`⚠️  Sync lock ${lock.holder} was lost before it could be kept`)
+      } catch (error) {
+        console.warn(`⚠️  Failed to keep the sync lock (it expires on its own): ${error.message}`)
       }
     }
+  })
+}
 
-    if (!existingId) {
-      // New item - prepare for creation with both EN and DE content
-      const webflowItem = { 
-        fieldData: mappedFieldsForId,
-        germanFieldData: null // Will be populated below if German content exists
+// Stop a run whose lease was lost: another run may hold the lock by now. Checked before every
+// Webflow request and when a collection fails, so the run does not carry on with the next one
+function assertLeaseHeld() {
+  if (activeLease && (activeLease.lost || Date.now() > activeLease.expiresAt)) {
+    throw new SyncLockedError(null, { lost: true })
+  }
+}
+
+// Run `fn` under the sync lock. A conflicting run throws SyncLockedError (409 from the API).
+// Single-item requests queued meanwhile are run before the lock is released
+async function withSyncLock(type, trigger, fn) {
+  const lease = await acquireSyncLock(type, trigger)
+  try {
+    return await fn()
+  } finally {
+    await releaseSyncLock(lease)
+  }
+}
+
+// Drain the queue and release the lease. A request queued between the last drain and the release
+// would wait for the next run, so the queue is checked again afterwards and drained under a new
+// lease. When another run holds the lock by then, that run drains it. `keepFor` parks the lease
+// instead of releasing it
+async function releaseSyncLock(lease, { keepFor = 0 } = {}) {
+  const deadline = Date.parse(lease.lock.acquiredAt) + SYNC_QUEUE_DRAIN_DEADLINE_MS
+  for (;;) {
+    // Queued requests stay queued for the run that holds the lock now
+    if (lease.lost) return lease.release()
+    await drainSyncQueue(deadline)
+    if (keepFor) return lease.park(keepFor)
+    await lease.release()
+    if (Date.now() >= deadline) return
+    const waiting = await stateStore.queueSize().catch(() => 0)
+    if (!waiting) return
+    try {
+      lease = await acquireSyncLock('single-item', DEFAULT_TRIGGER, { waitMs: 0 })
+    } catch (error) {
+      if (!(error instanceof SyncLockedError)) console.warn(`⚠️  Failed to drain the sync queue: ${error.message}`)
+      return
+    }
+  }
+}
+
+// Single-item sync or delete, as queued while another run held the lock
+function runSingleItemRequest(request) {
+  const { operation, documentId, documentType, autoPublish, mode, document, trigger } = request
+  if (operation === 'delete') {
+    return recordSyncRun('delete', trigger, { documentId, documentType, mode }, () => removeOneDocument(documentId, documentType, { mode, document }))
+  }
+  return recordSyncRun('single-item', trigger, { documentId, documentType }, () => syncOneDocument(documentId, documentType, autoPublish))
+}
+
+// Take the lock for one single-item request, or queue the request behind the run holding it
+async function runOrQueueSingleItem(request) {
+  let lease
+  try {
+    lease = await acquireSyncLock(request.operation === 'delete' ? 'delete' : 'single-item', request.trigger)
+  } catch (error) {
+    if (!(error instanceof SyncLockedError)) throw error
+    // The delete payload is kept as JSON, its references must not pin other documents
+    await stateStore.enqueue({
+      ...request,
+      document: request.document ? JSON.stringify(request.document) : null,
+      queuedAt: new Date().toISOString()
+    })
+    console.log(`📥 ${request.operation} ${request.documentType}/${request.documentId} queued behind the running ${error.holder?.type || 'sync'} run`)
+    return { queued: true, operation: request.operation, documentId: request.documentId, documentType: request.documentType, lockedBy: error.holder }
+  }
+  try {
+    return await runSingleItemRequest(request)
+  } finally {
+    await releaseSyncLock(lease)
+  }
+}
+
+// Run queued requests until the queue is empty or `deadline` has passed. A request is removed
+// only after it ran, so one cut off by the function timeout runs again with the next drain
+async function drainSyncQueue(deadline) {
+  for (;;) {
+    let requests
+    try {
+      requests = await stateStore.readQueue()
+    } catch (error) {
+      console.warn(`⚠️  Failed to read the sync queue: ${error.message}`)
+      return
+    }
+    if (requests.length === 0) return
+    console.log(`📥 Running ${requests.length} queued single-item request(s)`)
+    for (const [i, request] of requests.entries()) {
+      if (Date.now() >= deadline) {
+        console.log(`⏳ Out of time, ${requests.length - i} queued request(s) left for the next run`)
+        return
       }
-      
-      // Prepare German-specific field data if item has DE locale content
-      if (customImageSync && typeof customImageSync === 'function') {
-        try {
-          const germanResult = await customImageSync(item, 'de-DE')
-          const germanFields = germanResult.fieldData || germanResult
-          if (germanFields && Object.keys(germanFields).length > 0) {
-            webflowItem.germanFieldData = germanFields
-            console.log(`  🔍 Prepared ${Object.keys(germanFields).length} German fields for new item (customImageSync)`)
-          }
-        } catch (e) {
-          console.warn(`  ⚠️  German mapping failed (customImageSync): ${e.message}`)
-        }
-      } else if (fieldMapper && typeof fieldMapper === 'function') {
-        // fieldMapper accepts (item, locale) - get German fields
-        try {
-          const germanFields = fieldMapper(item, 'de-DE')
-          if (germanFields && Object.keys(germanFields).length > 0) {
-            webflowItem.germanFieldData = germanFields
-            console.log(`  🔍 Prepared ${Object.keys(germanFields).length} German fields for new item`)
-          }
-        } catch (e) {
-          console.warn(`  ⚠️  German mapping failed: ${e.message}`)
+      try {
+        await runSingleItemRequest({ ...request, document: request.document ? JSON.parse(request.document) : null })
+      } catch (error) {
+        console.error(`❌ Queued ${request.operation} ${request.documentType}/${request.documentId} failed: ${error.message}`)
+      }
+      try {
+        await stateStore.removeFromQueue(request.queueId)
+      } catch (error) {
+        console.warn(`⚠️  Failed to remove a queued request, it runs again with the next drain: ${error.message}`)
+        return
+      }
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELD ITEMS (draft staging and scheduled publishing)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Reasons an item is synced but kept off the live site: a staged Sanity draft (--drafts /
+// SYNC_DRAFTS=true), a publish date in the future, or an end date in the past. The item's hash
+// carries the reason as a prefix, so the item is updated again once the reason goes away
+const HOLDS = ['draft', 'scheduled', 'expired']
+
+// Hash of an item the sync archived itself (a Sanity unpublish with WEBFLOW_DELETE_MODE=archive).
+// Only such items are un-archived when their document is published again; items archived by
+// Webflow editors stay archived
+const ARCHIVED_HASH = 'archived'
+
+// The staging query returns drafts next to published documents. A draft of a published document
+// is dropped (the published version is what Webflow shows), a draft-only document takes its
+// published ID and is marked `_isDraft`
+async function resolveStagingDrafts(items) {
+  const draftIds = items.filter(item => item._id.startsWith('drafts.')).map(item => item._id)
+  if (draftIds.length === 0) return items
+
+  // The query filter may have matched a draft but not its published version
+  const baseIds = draftIds.map(id => id.replace('drafts.', ''))
+  let published
+  try {
+    published = await sanityClient.fetch('*[_id in $ids]._id', { ids: baseIds })
+  } catch (error) {
+    throw new SanityReadError(`Published lookup for ${draftIds.length} drafts failed: ${error.message}`, { cause: error })
+  }
+  if (!Array.isArray(published)) {
+    throw new SanityReadError('Published lookup for drafts did not return a list')
+  }
+  const publishedIds = new Set(published)
+
+  return items.flatMap(item => {
+    if (!item._id.startsWith('drafts.')) return [item]
+    const baseId = item._id.replace('drafts.', '')
+    return publishedIds.has(baseId) ? [] : [{ ...item, _id: baseId, _isDraft: true }]
+  })
+}
+
+// Publish and end dates of an item (ms) from its registry `schedule` fields
+function itemSchedule(entry, item) {
+  if (!entry.schedule) return null
+  const date = (field) => {
+    const time = field && item[field] ? Date.parse(item[field]) : NaN
+    return Number.isFinite(time) ? time : null
+  }
+  return { publishAt: date(entry.schedule.publishAt), unpublishAt: date(entry.schedule.unpublishAt) }
+}
+
+// Why an item stays off the live site right now, null when it should be live
+function itemHold(item, schedule, now = Date.now()) {
+  if (item._isDraft) return 'draft'
+  if (schedule?.unpublishAt != null && schedule.unpublishAt <= now) return 'expired'
+  if (schedule?.publishAt != null && schedule.publishAt > now) return 'scheduled'
+  return null
+}
+
+function holdHash(hold, hash) {
+  return hold ? `${hold}:${hash}` : hash
+}
+
+function hashHold(hash) {
+  const prefix = String(hash || '').split(':')[0]
+  return HOLDS.includes(prefix) ? prefix : null
+}
+
+// Hold of a document's Webflow item as of its last sync, null when it was synced live
+function itemHoldFor(mappingKey, sanityId) {
+  return hashHold(persistentHashes.get(`${mappingKey}:${sanityId}`))
+}
+
+// Universal duplicate-aware collection sync helper with UPSERT and delta detection
+async function syncCollection(options, progressCallback = null) {
+  const {
+    name,
+    collectionId,
+    mappingKey,
+    sanityQuery,
+    fieldMapper,
+    validateFields = null, // (fieldData, isPrimaryLocale) => [problems]
+    prepareItems = null, // async (items) => void, runs before any item is mapped
+    schedule = null, // (item) => { publishAt, unpublishAt } in ms, for scheduled publishing
+    ownedFields = null, // (fieldData, { create }) => the fields the sync writes (field ownership)
+    driftHash = null, // (fieldData, localeFieldData) => hash of the sent content, the drift check's baseline
+    limit = null
+  } = options
+  
+    console.log(`📋 Syncing ${name}...`)
+  
+  let sanityData
+  try {
+    sanityData = await sanityClient.fetch(sanityQuery)
+  } catch (error) {
+    throw new SanityReadError(`Sanity query for ${name} failed: ${error.message}`, { cause: error })
+  }
+  // Anything but a list is a broken read, never "no documents"
+  if (!Array.isArray(sanityData)) {
+    throw new SanityReadError(`Sanity query for ${name} returned ${sanityData === null ? 'null' : typeof sanityData} instead of a list`)
+  }
+  const dataArray = FLAG_SYNC_DRAFTS ? await resolveStagingDrafts(sanityData) : sanityData
+  
+  if (limit && Number.isFinite(limit)) {
+    const capped = Math.max(0, Number(limit))
+    if (dataArray.length > capped) {
+      console.log(`  🔎 Limiting to first ${capped} of ${dataArray.length} ${name}`)
+      sanityData = dataArray.slice(0, capped)
+    } else {
+      sanityData = dataArray
+    }
+  } else {
+    sanityData = dataArray
+  }
+  
+  console.log(`  • Total Sanity items: ${sanityData.length}`)
+  
+  // Plan mode: run the same decisions but only record them, never write to Webflow
+  const plan = global.SYNC_PLAN || null
+  const planReport = plan ? (plan.collections[mappingKey] = plan.collections[mappingKey] || {
+    name,
+    create: [],
+    update: [],
+    delete: [],
+    unchanged: 0,
+    invalid: [],
+    unresolvedReferences: []
+  }) : null
+  
+  // Resumable job mode: only process the next slice of the collection, by document ID after the
+  // last one done. Unlike an offset, this is stable when documents are added or removed between
+  // invocations. `chunk.last` is the slice's last ID, `chunk.done` whether nothing is left after it
+  const chunk = global.SYNC_CHUNK || null
+  let itemsToProcess = sanityData
+  let isFinalChunk = true
+  if (chunk) {
+    const remaining = sanityData
+      .filter(item => chunk.after === null || item._id > chunk.after)
+      .sort((a, b) => (a._id < b._id ? -1 : 1))
+    itemsToProcess = remaining.slice(0, chunk.size)
+    chunk.last = itemsToProcess.length > 0 ? itemsToProcess[itemsToProcess.length - 1]._id : chunk.after
+    chunk.done = isFinalChunk = remaining.length <= chunk.size
+    console.log(`  🧩 Chunk of ${itemsToProcess.length} (${remaining.length} of ${sanityData.length} left)`)
+  }
+
+  reportProgress({ collection: mappingKey, message: `Mapping ${name}`, current: 0, total: itemsToProcess.length }, { force: true })
+  if (prepareItems) await prepareItems(itemsToProcess)
+  
+  // Get existing Webflow items for adoption logic
+  const existingWebflowItems = await getWebflowItems(collectionId)
+  const webflowBySlug = new Map()
+  const webflowById = new Map()
+  for (const wfItem of existingWebflowItems) {
+    const slug = wfItem?.fieldData?.slug
+    if (slug) webflowBySlug.set(slug, wfItem)
+    webflowById.set(wfItem.id, wfItem)
+  }
+  // Quarantined orphans, read only when an archived item is adopted
+  let quarantined = null
+  const loadQuarantined = async () => (quarantined = quarantined || await stateStore.loadQuarantine())
+
+  // Process items and check for duplicates
+  const newItems = []
+  const updateItems = []
+  const failedItems = []
+  let existingCount = 0
+  
+  // Field ownership: Webflow-owned fields are never sent, Sanity-initial ones only on create
+  const owned = (fieldData, create = false) => ownedFields ? ownedFields(fieldData, { create }) : fieldData
+  const ownedLocales = (localeFieldData, create = false) => Object.fromEntries(Object.entries(localeFieldData)
+    .map(([localeId, fields]) => [localeId, owned(fields, create)])
+    .filter(([, fields]) => Object.keys(fields).length > 0))
+
+  // Map an item once per secondary locale, keyed by CMS locale ID
+  const mapSecondaryLocales = (item) => {
+    const localeFieldData = {}
+    for (const locale of secondaryLocales()) {
+      try {
+        const fields = fieldMapper(item, locale.sanityKey)
+        if (fields && Object.keys(fields).length > 0) {
+          localeFieldData[locale.cmsLocaleId] = fields
         }
+      } catch (e) {
+        console.warn(`  ⚠️  ${locale.tag} mapping failed for ${item._id}: ${e.message}`)
       }
+    }
+    return localeFieldData
+  }
+
+  const now = Date.now()
+  let mappedCount = 0
+  for (const item of itemsToProcess) {
+    reportProgress({ current: mappedCount++ })
+    let existingId = idMappings[mappingKey].get(item._id) || item.webflowId || null
+    item._hold = itemHold(item, schedule ? schedule(item) : null, now)
+    
+    // Prepare mapped fields (used for both create and update)
+    let mappedFieldsForId
+    try {
+      mappedFieldsForId = fieldMapper(item)
+    } catch (e) {
+      // Reported with the other failed items at the end of the run
+      failedItems.push({ sanityId: item._id, error: `field mapping failed: ${e.message}` })
+      if (planReport) planReport.invalid.push({ sanityId: item._id, name: null, problems: [e.message] })
+      continue
+    }
+
+    // Localized field data for every secondary locale
+    const localeFieldData = mapSecondaryLocales(item)
+
+    // Check values against the Webflow schema so invalid items never reach the API
+    if (validateFields) {
+      const problems = [
+        ...validateFields(mappedFieldsForId, true),
+        ...Object.values(localeFieldData).flatMap(fields => validateFields(fields, false))
+      ]
+      if (problems.length > 0) {
+        const error = `invalid fieldData: ${[...new Set(problems)].join(', ')}`
+        failedItems.push({ sanityId: item._id, error })
+        if (planReport) planReport.invalid.push({ sanityId: item._id, name: mappedFieldsForId?.name || null, problems: [...new Set(problems)] })
+        continue
+      }
+    }
+
+    // Verify webflowId still exists (against the items listed above), clear if stale
+    if (existingId && !webflowById.has(existingId)) {
+      console.log(`  ❌ Stale webflowId ${existingId} not found, clearing mapping`)
+      idMappings[mappingKey].delete(item._id)
+      const key = `${mappingKey}:${item._id}`
+      persistentHashes.delete(key)
+      existingId = null
+    }
+
+    // If no ID, try to adopt by slug
+    if (!existingId && mappedFieldsForId?.slug) {
+      const adopt = webflowBySlug.get(mappedFieldsForId.slug)
+      if (adopt?.id) {
+        existingId = adopt.id
+        idMappings[mappingKey].set(item._id, existingId)
+        console.log(`  ↳ Adopted existing item by slug for ${mappingKey}:${item._id} → ${existingId}`)
+        if (planReport) item._adoptedBySlug = true
+        // An orphan this sync quarantined comes back with its document
+        if (adopt.isArchived && (await loadQuarantined()).has(`${mappingKey}:${adopt.id}`)) item._revive = true
+      }
+    }
+
+    // A draft never replaces content that is already on the site
+    if (existingId && item._isDraft && webflowById.has(existingId) && !webflowById.get(existingId).isDraft) {
+      console.log(`  📝 Draft ${mappingKey}:${item._id} skipped, ${existingId} is not a Webflow draft`)
+      existingCount++
+      if (planReport) planReport.unchanged++
+      continue
+    }
+
+    if (!existingId) {
+      // New item - prepare for creation with content for every locale. The hash has the same
+      // shape as the update hash, which leaves out Sanity-initial fields and the slug
+      const webflowItem = { fieldData: owned(mappedFieldsForId, true), localeFieldData: ownedLocales(localeFieldData, true) }
+      const hash = holdHash(item._hold, localizedHash(owned(mappedFieldsForId), ownedLocales(localeFieldData)))
+      const { slug, ...updatable } = owned(mappedFieldsForId)
+      const webflowHash = driftHash ? driftHash(updatable, ownedLocales(localeFieldData)) : null
       
-      newItems.push({ item, webflowItem })
+      newItems.push({ item, webflowItem, hash, webflowHash })
+      if (planReport) {
+        planReport.create.push({ sanityId: item._id, name: mappedFieldsForId?.name || null, slug: mappedFieldsForId?.slug || null, ...(item._hold ? { hold: item._hold } : {}) })
+      }
     } else {
       // Existing item - check if update is needed via delta hash
-      const mapped = { ...mappedFieldsForId }
+      const mapped = owned(mappedFieldsForId)
       delete mapped.slug // Don't change slug on update to avoid conflicts
-      const webflowItem = { fieldData: mapped }
-      
-      // Also prepare German fields for updates
-      if (customImageSync && typeof customImageSync === 'function') {
-        try {
-          const germanResult = await customImageSync(item, 'de-DE')
-          const germanFields = germanResult.fieldData || germanResult
-          if (germanFields && Object.keys(germanFields).length > 0) {
-            webflowItem.germanFieldData = germanFields
-          }
-        } catch (e) {
-          console.warn(`  ⚠️  German mapping failed for update (customImageSync): ${e.message}`)
-        }
-      } else if (fieldMapper && typeof fieldMapper === 'function') {
-        try {
-          const germanFields = fieldMapper(item, 'de-DE')
-          if (germanFields && Object.keys(germanFields).length > 0) {
-            webflowItem.germanFieldData = germanFields
-          }
-        } catch (e) {
-          console.warn(`  ⚠️  German mapping failed for update: ${e.message}`)
-        }
-      }
+      const webflowItem = { fieldData: mapped, localeFieldData: ownedLocales(localeFieldData) }
       
-      const hash = hashObjectStable(webflowItem.fieldData)
+      const hash = holdHash(item._hold, localizedHash(webflowItem.fieldData, webflowItem.localeFieldData))
       const key = `${mappingKey}:${item._id}`
       const prev = persistentHashes.get(key)
       
-      // Check both global and env var for force update
+      // Check both global and env var for force update. Image changes are in the hash: the
+      // mapped images carry their Sanity asset URL
       const forceUpdate = global.FORCE_UPDATE || process.env.FORCE_UPDATE === 'true'
       
-      // Extract image URLs from new fieldData for comparison
-      const newImageUrls = extractImageUrls(webflowItem.fieldData)
-      
-      // Compare with Webflow's current image URLs (reliable detection)
-      const imagesChanged = newImageUrls.length > 0 
-        ? await checkIfImagesChanged(existingId, newImageUrls, collectionId)
-        : false
-      
-      if (prev !== hash || forceUpdate || imagesChanged) {
-        if (imagesChanged && prev === hash) {
-          console.log(`  🖼️  Image change detected for ${item.name || item.creatorName || item._id}`)
+      if (prev !== hash || forceUpdate) {
+        const webflowHash = driftHash ? driftHash(webflowItem.fieldData, webflowItem.localeFieldData) : null
+        const revive = prev === ARCHIVED_HASH || !!item._revive
+        updateItems.push({ item, webflowId: existingId, webflowItem, hash, key, webflowHash, revive })
+        if (planReport) {
+          planReport.update.push({
+            sanityId: item._id,
+            webflowId: existingId,
+            name: webflowItem.fieldData?.name || null,
+            adoptedBySlug: !!item._adoptedBySlug,
+            ...(item._hold ? { hold: item._hold } : hashHold(prev) ? { promoted: true } : {}),
+            changes: diffFieldData(webflowById.get(existingId)?.fieldData, webflowItem.fieldData)
+          })
         }
-        updateItems.push({ item, webflowId: existingId, webflowItem, hash, key })
       } else {
         existingCount++
+        if (planReport) planReport.unchanged++
       }
     }
   }
@@ -1577,8 +2225,10 @@ async function syncCollection(options, progressCallback = null) {
   
   // Find and delete orphaned items (in Webflow but not in Sanity)
   // SKIP ORPHAN DELETION IN SINGLE-ITEM MODE to avoid deleting everything else
+  // (and until the last chunk of a job, when every Sanity item has been mapped)
   const isSingleItemSync = !!global.SINGLE_ITEM_FILTER
-  if (!isSingleItemSync) {
+  let orphanLimitBreach = null // Fails the collection once its items are written
+  if (!isSingleItemSync && isFinalChunk) {
     // Build a set of "claimed" Webflow IDs (mapped or adopted by Sanity items)
     const claimedWebflowIds = new Set()
     
@@ -1616,18 +2266,24 @@ async function syncCollection(options, progressCallback = null) {
     }
     
     // Any Webflow item NOT claimed is an orphan
-    // This handles: items with no Sanity match, AND duplicate items with the same slug
+    // This handles: items with no Sanity match, AND duplicate items with the same slug.
+    // Archived items were already handled unless orphans are deleted outright
     const orphanedItems = existingWebflowItems.filter(wfItem => {
-      return !claimedWebflowIds.has(wfItem.id)
+      return !claimedWebflowIds.has(wfItem.id) && !(ORPHAN_MODE !== 'delete' && wfItem.isArchived)
     })
+    const orphanLimit = orphanedItems.length > 0 ? orphanLimitError(orphanedItems.length, existingWebflowItems.length) : null
     
-    if (orphanedItems.length > 0) {
-      console.log(`  🗑️  Deleting ${orphanedItems.length} orphaned items from Webflow...`)
-      orphanedItems.forEach(item => {
-        console.log(`    - ${item.fieldData?.name || 'Unnamed'} (${item.fieldData?.slug || 'no-slug'}) - ${item.id}`)
+    if (planReport) {
+      orphanedItems.forEach(wfItem => {
+        planReport.delete.push({ webflowId: wfItem.id, name: wfItem.fieldData?.name || null, slug: wfItem.fieldData?.slug || null })
       })
-      const orphanedIds = orphanedItems.map(item => item.id)
-      await deleteWebflowItems(collectionId, orphanedIds)
+      planReport.orphanMode = ORPHAN_MODE
+      if (orphanLimit) planReport.orphanLimit = orphanLimit
+    } else if (orphanLimit) {
+      console.error(`  🛑 Orphan removal aborted for ${name}: ${orphanLimit}. Nothing was removed; check the mappings or raise the limit`)
+      orphanLimitBreach = orphanLimit
+    } else if (orphanedItems.length > 0) {
+      await removeOrphans(mappingKey, collectionId, orphanedItems)
       // Clean up mappings
       orphanedItems.forEach(wfItem => {
         for (const [sanityId, webflowId] of idMappings[mappingKey]) {
@@ -1638,908 +2294,236 @@ async function syncCollection(options, progressCallback = null) {
         }
       })
     }
-  } else {
+  } else if (isSingleItemSync) {
     console.log(`  ⚡ Single-item mode: skipping orphan deletion`)
+  } else {
+    console.log(`  🧩 Orphan deletion deferred to the final chunk`)
   }
   
-  // Create new items in Webflow (primary locale)
-  let results = []
-  if (newItems.length > 0) {
-    results = await createWebflowItems(collectionId, newItems.map(ni => ni.webflowItem), progressCallback)
-    
-    // Store new mappings and explicitly update both locales
-    for (let index = 0; index < results.length; index++) {
-      const webflowItem = results[index]
-      const sanityItem = newItems[index].item
-      idMappings[mappingKey].set(sanityItem._id, webflowItem.id)
-      // Store hash for newly created items
-      const hash = hashObjectStable(webflowItem.fieldData)
-      persistentHashes.set(`${mappingKey}:${sanityItem._id}`, hash)
-      
-      // Locales already created by createWebflowItems() - no need to update again here
-    }
-  }
-  
-  // Update existing items
-  let updatedCount = 0
-  const updatedItemIds = []
-  if (updateItems.length > 0) {
-    console.log(`  🔄 Updating ${updateItems.length} existing ${name} items (delta only)...`)
-  }
-  for (let i = 0; i < updateItems.length; i++) {
-    const u = updateItems[i]
-    try {
-      // DEBUG: Check what we're sending for Tora Urup
-      if (u.item.name === 'Tora Urup') {
-        console.log(`\n🐛 DEBUG Tora Urup PRIMARY locale update:`)
-        console.log(`   fieldMapper(item, 'en') returns:`)
-        const testEn = fieldMapper(u.item, 'en')
-        console.log(`   Portrait: ${testEn['portrait-english']?.substring(0,60)}...`)
-        console.log(`   Biography: ${testEn['biography']?.substring(0,60)}...`)
-        console.log(`\n   u.webflowItem.fieldData contains:`)
-        console.log(`   Portrait: ${u.webflowItem.fieldData['portrait-english']?.substring(0,60)}...`)
-        console.log(`   Biography: ${u.webflowItem.fieldData['biography']?.substring(0,60)}...`)
-      }
-      
-      // Update primary locale with English content
-      await updateWebflowItem(collectionId, u.webflowId, u.webflowItem.fieldData, FLAG_ENGLISH_ONLY ? null : WEBFLOW_LOCALES['en-US'])
-      persistentHashes.set(u.key, u.hash)
-      updatedItemIds.push(u.webflowId)
-      
-      // Create/update German locale (skip if english-only)
-      if (!FLAG_ENGLISH_ONLY && (fieldMapper || customImageSync)) {
-        // DEBUG: Check German locale data
-        if (u.item.name === 'Tora Urup') {
-          console.log(`\n🐛 DEBUG Tora Urup GERMAN locale update:`)
-          console.log(`   fieldMapper(item, 'de-DE') returns:`)
-          const testDe = fieldMapper(u.item, 'de-DE')
-          console.log(`   Portrait: ${testDe['portrait-english']?.substring(0,60)}...`)
-          console.log(`   Biography: ${testDe['biography']?.substring(0,60)}...`)
-        }
-        
-        await sleep(800) // Extra delay between primary and German locale (increased from 300ms)
-        await updateItemGermanLocale(collectionId, u.webflowId, u.item, fieldMapper || customImageSync)
-      }
-      
-      updatedCount++
-      if ((i + 1) % 25 === 0 || i === updateItems.length - 1) {
-        console.log(`    ↳ Updated ${i + 1}/${updateItems.length}`)
-      }
-    } catch (e) {
-      if (String(e.message).includes('429')) {
-        await sleep(3000) // Longer delay on rate limit (increased from 1500ms)
-        await updateWebflowItem(collectionId, u.webflowId, u.webflowItem.fieldData)
-        if (fieldMapper) {
-          await updateItemGermanLocale(collectionId, u.webflowId, u.item, fieldMapper)
-        }
-        persistentHashes.set(u.key, u.hash)
-        updatedItemIds.push(u.webflowId)
-        updatedCount++
-      } else {
-        console.warn(`  ⚠️  Update failed for ${u.webflowId}: ${e.message}`)
-      }
-    }
-  }
-  
-  // Batch publish all updated items
-  if (FLAG_PUBLISH && updatedItemIds.length > 0) {
-    console.log(`  📢 Batch publishing ${updatedItemIds.length} updated items...`)
-    await publishWebflowItems(collectionId, updatedItemIds, progressCallback)
-  }
-
-  const unchangedCount = Math.max(existingCount - updateItems.length, 0)
-  console.log(`✅ ${name}: ${results.length} created, ${updatedCount} updated, ${unchangedCount} unchanged`)
-  return results.length + updatedCount
-}
-
-// PHASE 1: Sync Material Types
-async function syncMaterialTypes(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Material Types',
-    collectionId: WEBFLOW_COLLECTIONS.materialType,
-    mappingKey: 'materialType',
-    sanityQuery: `
-      *[_type == "materialType" ${filter}] | order(sortOrder asc, name.en asc) {
-        _id,
-        name,
-        description,
-        sortOrder,
-        slug
-      }
-    `,
-    fieldMapper: mapMaterialTypeFields,
-    limit
-  }, progressCallback)
-}
-
-// PHASE 2: Sync Finishes
-async function syncFinishes(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Finishes',
-    collectionId: WEBFLOW_COLLECTIONS.finish,
-    mappingKey: 'finish',
-    sanityQuery: `
-      *[_type == "finish" ${filter}] | order(name.en asc) {
-        _id,
-        name,
-        description,
-        slug
-      }
-    `,
-    fieldMapper: mapMediumFinishFields,
-    limit
-  }, progressCallback)
-}
-
-// PHASE 3: Sync Materials (with Material Type references)
-async function syncMaterials(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Materials',
-    collectionId: WEBFLOW_COLLECTIONS.material,
-    mappingKey: 'material',
-    sanityQuery: `
-      *[_type == "material" ${filter}] | order(name.en asc) {
-        _id,
-        name,
-        description,
-        materialType->{_id, name},
-        slug
-      }
-    `,
-    fieldMapper: (item, locale = 'en') => {
-      const isGerman = locale === 'de-DE' || locale === 'de'
-      return {
-        ...mapMediumFinishFields(item, locale),
-        'material-type': item.materialType?._id ? idMappings.materialType.get(item.materialType._id) || null : null,
-        description: isGerman ? (item.description?.de || '') : (item.description?.en || '')
-      }
-    },
-    limit
-  }, progressCallback)
-}
-
-// PHASE 4: Sync other collections
-async function syncMediums(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Types',
-    collectionId: WEBFLOW_COLLECTIONS.medium,
-    mappingKey: 'medium',
-    sanityQuery: `
-      *[_type == "medium" ${filter}] | order(name.en asc) {
-        _id,
-        name,
-        description,
-        slug
-      }
-    `,
-    fieldMapper: mapMediumFinishFields,
-    limit
-  }, progressCallback)
-}
-
-async function syncCategories(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Mediums',
-    collectionId: WEBFLOW_COLLECTIONS.category,
-    mappingKey: 'category',
-    sanityQuery: `
-      *[_type == "category" ${filter}] | order(title.en asc) {
-        _id,
-        title,
-        description,
-        slug
-      }
-    `,
-    fieldMapper: mapCategoryFields,
-    limit
-  }, progressCallback)
-}
-
-async function syncLocations(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Locations',
-    collectionId: WEBFLOW_COLLECTIONS.location,
-    mappingKey: 'location',
-    sanityQuery: `
-      *[_type == "location" ${filter}] | order(name.en asc) {
-        _id,
-        name,
-        type,
-        address,
-        city->{name},
-        country->{name},
-        website,
-        times,
-        phone,
-        email,
-        description,
-        slug
-      }
-    `,
-    fieldMapper: mapLocationFields,
-    limit
-  }, progressCallback)
-}
-
-async function syncCreators(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Creators',
-    collectionId: WEBFLOW_COLLECTIONS.creator,
-    mappingKey: 'creator',
-    sanityQuery: `
-      *[_type == "creator" && !(_id in path("drafts.**")) ${filter}] | order(name asc) {
-        _id,
-        name,
-        lastName,
-        cover{
-          asset->{
-            _id,
-            url,
-            originalFilename,
-            _updatedAt
-          },
-          alt
-        },
-        image{
-          asset->{
-            _id,
-            url,
-            originalFilename,
-            _updatedAt
-          },
-          alt
-        },
-        biography,
-        portrait,
-        nationality,
-        specialties,
-        studioImage{
-          asset->{
-            _id,
-            url,
-            originalFilename,
-            _updatedAt
-          },
-          alt
-        },
-        portraitImage{
-          asset->{
-            _id,
-            url,
-            originalFilename,
-            _updatedAt
-          },
-          alt
-        },
-        slug,
-        website,
-        email,
-        birthYear,
-        category
-      }
-    `,
-    fieldMapper: mapCreatorFields,
-    limit
-  }, progressCallback)
-}
-
-// PHASE 8: Sync Artworks
-async function syncArtworks(limit = null, progressCallback = null) {
-  // Custom artwork mapper with image handling
-  const artworkCustomSync = async (item) => {
-    // Simple URL-based image handling - let Webflow handle uploads
-    const artworkImages = item.images?.map(image => {
-      if (!image.asset?.url) return null
-      
-      // Create enhanced alt text
-      const altText = image.alt?.en || image.alt?.de || ''
-      const artworkName = item.name || item.workTitle?.en || item.workTitle?.de
-      const creatorName = item.creator?.name
-      
-      let enhancedAltText = altText
-      if (!enhancedAltText && artworkName) {
-        const parts = []
-        if (creatorName) parts.push(creatorName)
-        if (artworkName) parts.push(artworkName)
-        enhancedAltText = parts.join(' - ')
-      }
-      
-      return {
-        url: image.asset.url,
-        alt: enhancedAltText || artworkName || 'Artwork image'
-      }
-    }).filter(Boolean) || []
-    
-    console.log(`  🖼️  Prepared ${artworkImages.length} images for upload via URLs`)
-    
-    // Validate and map references with error logging
-    const creatorId = item.creator?._id ? idMappings.creator.get(item.creator._id) || null : null
-    if (item.creator?._id && !creatorId) {
-      console.warn(`  ⚠️  Creator reference not found for artwork '${item.name}': ${item.creator._id}`)
-    }
-    
-    const materialIds = item.materials?.map(mat => {
-      const mappedId = idMappings.material.get(mat._id)
-      if (!mappedId) {
-        console.warn(`  ⚠️  Material reference not found for artwork '${item.name}': ${mat._id}`)
-      }
-      return mappedId
-    }).filter(Boolean) || []
-    
-    const mediumIds = item.medium?.map(med => {
-      const mappedId = idMappings.medium.get(med._id)
-      if (!mappedId) {
-        console.warn(`  ⚠️  Medium reference not found for artwork '${item.name}': ${med._id}`)
-      }
-      return mappedId
-    }).filter(Boolean) || []
-    
-    const finishIds = item.finishes?.map(fin => {
-      const mappedId = idMappings.finish.get(fin._id)
-      if (!mappedId) {
-        console.warn(`  ⚠️  Finish reference not found for artwork '${item.name}': ${fin._id}`)
-      }
-      return mappedId
-    }).filter(Boolean) || []
-    
-    // NEW: map single main image if present
-    const mainImage = item.mainImage?.asset?.url ? {
-      url: item.mainImage.asset.url,
-      alt: (item.mainImage?.alt?.en || item.mainImage?.alt?.de || item.name || item.workTitle?.en || item.workTitle?.de || 'Main image')
-    } : undefined
-
-    // Note: customImageSync doesn't support locale parameter yet, always returns English
-    // German locale will be updated separately after creation
-    return {
-      fieldData: {
-        name: item.name || 'Untitled',
-        slug: item.slug?.current || generateSlug(item.name || item.workTitle?.en),
-        'work-title': item.workTitle?.en || item.workTitle?.de || '',
-        description: item.description?.en || '',
-        creator: creatorId,
-        materials: materialIds,
-        medium: mediumIds,
-        finishes: finishIds,
-        'size-dimensions': cleanSizeField(item.size || ''),
-        year: item.year || '',
-        price: item.price || '',
-        ...(mainImage ? { 'main-image': mainImage } : {}),
-        'artwork-images': artworkImages
-      },
-      _sanityItem: item // Store for German locale update
-    }
-  }
-
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Artworks',
-    collectionId: WEBFLOW_COLLECTIONS.artwork,
-    mappingKey: 'artwork',
-    sanityQuery: `
-      *[_type == "artwork" ${filter}] | order(name asc) {
-        _id,
-        name,
-        workTitle,
-        description,
-        creator->{_id},
-        category->{_id},
-        materials[]->{_id},
-        medium[]->{_id},
-        finishes[]->{_id},
-        size,
-        year,
-        price,
-        slug,
-        mainImage{
-          asset->{
-            _id,
-            url,
-            originalFilename
-          },
-          alt
-        },
-        images[]{ 
-          asset->{
-            _id,
-            url,
-            originalFilename
-          },
-          alt
-        }
-      }
-    `,
-    fieldMapper: null, // Not used since we use customImageSync
-    customImageSync: artworkCustomSync,
-    limit
-  }, progressCallback)
-}
-
-// Sync artworks only for a specific subset of creators (by Sanity IDs)
-async function syncArtworksForCreators(creatorIds = []) {
-  if (!Array.isArray(creatorIds) || creatorIds.length === 0) {
-    console.log('⚪ No creator IDs provided for filtered artwork sync. Skipping.')
+  if (planReport) {
+    console.log(`  📝 Plan: ${planReport.create.length} to create, ${planReport.update.length} to update, ${planReport.delete.length} to ${ORPHAN_MODE}${planReport.invalid.length ? `, ${planReport.invalid.length} invalid` : ''}`)
+    if (planReport.orphanLimit) console.log(`  🛑 Orphan removal would be aborted: ${planReport.orphanLimit}`)
     return 0
   }
-
-  // Local custom image sync (same as in syncArtworks)
-  const artworkCustomSync = async (item) => {
-    const artworkImages = item.images?.map(image => {
-      if (!image.asset?.url) return null
-      const altText = image.alt?.en || image.alt?.de || ''
-      const artworkName = item.name || item.workTitle?.en || item.workTitle?.de
-      const creatorName = item.creator?.name
-      let enhancedAltText = altText
-      if (!enhancedAltText && artworkName) {
-        const parts = []
-        if (creatorName) parts.push(creatorName)
-        if (artworkName) parts.push(artworkName)
-        enhancedAltText = parts.join(' - ')
-      }
-      return {
-        url: image.asset.url,
-        alt: enhancedAltText || artworkName || 'Artwork image'
-      }
-    }).filter(Boolean) || []
-
-    console.log(`  🖼️  Prepared ${artworkImages.length} images for upload via URLs`)
-
-    const creatorId = item.creator?._id ? idMappings.creator.get(item.creator._id) || null : null
-    if (item.creator?._id && !creatorId) {
-      console.warn(`  ⚠️  Creator reference not found for artwork '${item.name}': ${item.creator._id}`)
-    }
-
-    // DEBUG: Log what we're actually sending for first 3 items
-    if (item.name) {
-      console.log(`  🔍 '${item.name.substring(0, 30)}': creator=${creatorId}`)
-    }
-
-    const materialIds = item.materials?.map(mat => idMappings.material.get(mat._id)).filter(Boolean) || []
-    const mediumIds = item.medium?.map(med => idMappings.medium.get(med._id)).filter(Boolean) || []
-    const finishIds = item.finishes?.map(fin => idMappings.finish.get(fin._id)).filter(Boolean) || []
-
-    return {
-      fieldData: {
-        name: item.name || 'Untitled',
-        slug: item.slug?.current || generateSlug(item.name || item.workTitle?.en),
-        'work-title': item.workTitle?.en || item.workTitle?.de || '',
-        'work-title-english': item.workTitle?.en || '',
-        'work-title-german': item.workTitle?.de || '',
-        'description-english': item.description?.en || '',
-        'description-german': item.description?.de || '',
-        ...(creatorId ? { creator: creatorId } : {}),
-        ...(materialIds.length > 0 ? { materials: materialIds } : {}),
-        ...(mediumIds.length > 0 ? { medium: mediumIds } : {}),
-        ...(finishIds.length > 0 ? { finishes: finishIds } : {}),
-        'size-dimensions': item.size || '',
-        year: item.year || '',
-        price: item.price || '',
-        'artwork-images': artworkImages
-      }
-    }
-  }
-
-  // Inline IDs into query (simple and effective for a one-off filtered sync)
-  const idsList = creatorIds.map(id => `"${id}"`).join(',')
-  const filteredQuery = `
-      *[_type == "artwork" && defined(creator._ref) && creator._ref in [${idsList}]] | order(name asc) {
-        _id,
-        name,
-        workTitle,
-        description,
-        creator->{_id,name},
-        category->{_id},
-        materials[]->{_id},
-        medium[]->{_id},
-        finishes[]->{_id},
-        size,
-        year,
-        price,
-        slug,
-        images[]{ 
-          asset->{
-            _id,
-            url,
-            originalFilename
-          },
-          alt
-        }
-      }
-    `
-
-  return syncCollection({
-    name: 'Artworks (filtered by creators)',
-    collectionId: WEBFLOW_COLLECTIONS.artwork,
-    mappingKey: 'artwork',
-    sanityQuery: filteredQuery,
-    fieldMapper: null,
-    customImageSync: artworkCustomSync,
-    limit: null
-  })
-}
-
-// Helper function to combine alt text and caption for Webflow multi-image fields
-function combineAltAndCaption(altText, caption) {
-  if (altText && caption) {
-    return `${altText} | ${caption}`
-  }
-  return altText || caption || ''
-}
-
-// PHASE 7: Sync Authors
-async function syncAuthors(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Authors',
-    collectionId: WEBFLOW_COLLECTIONS.author,
-    mappingKey: 'author',
-    sanityQuery: `
-      *[_type == "author" ${filter}] | order(name.en asc) {
-        _id,
-        name,
-        bio,
-        slug
-      }
-    `,
-    fieldMapper: (item, locale = 'en') => {
-      const isGerman = locale === 'de-DE' || locale === 'de'
-      return {
-        name: isGerman ? (item.name?.de || item.name?.en || 'Untitled') : (item.name?.en || item.name?.de || 'Untitled'),
-        slug: item.slug?.current || generateSlug(item.name?.en || item.name?.de),
-        bio: convertSanityBlocksToWebflowRichText(isGerman ? item.bio?.de : item.bio?.en)
-      }
-    },
-    limit
-  }, progressCallback)
-}
-
-// PHASE 8: Sync Photographers
-async function syncPhotographers(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
-  return syncCollection({
-    name: 'Photographers',
-    collectionId: WEBFLOW_COLLECTIONS.photographer,
-    mappingKey: 'photographer',
-    sanityQuery: `
-      *[_type == "photographer" ${filter}] | order(name.en asc) {
-        _id,
-        name,
-        bio,
-        slug
-      }
-    `,
-    fieldMapper: (item, locale = 'en') => {
-      const isGerman = locale === 'de-DE' || locale === 'de'
-      return {
-        name: isGerman ? (item.name?.de || item.name?.en || 'Untitled') : (item.name?.en || item.name?.de || 'Untitled'),
-        slug: item.slug?.current || generateSlug(item.name?.en || item.name?.de),
-        bio: convertSanityBlocksToWebflowRichText(isGerman ? item.bio?.de : item.bio?.en)
-      }
-    },
-    limit
-  }, progressCallback)
-}
-
-// PHASE 9: Sync Articles
-async function syncArticles(limit = null, progressCallback = null) {
-  const filter = global.SINGLE_ITEM_FILTER || ''
   
-  // Custom article mapper with image handling
-  const articleCustomSync = async (item, locale = 'en') => {
-    const isGerman = locale === 'de-DE' || locale === 'de'
-    // Helper to prepare images (alt text from asset metadata)
-    const prepareImages = (images, locale = 'en') => {
-      if (!images || !Array.isArray(images)) return []
-      
-      return images.map(img => {
-        if (!img.asset?.url) return null
-        
-        // Get alt text from asset metadata
-        const alt = img.asset?.altText || img.asset?.alt || ''
-        
-        return {
-          url: img.asset.url,
-          alt: alt
-        }
-      }).filter(Boolean)
-    }
+  // Create new items in Webflow in batches (both locales)
+  reportProgress({ message: `Writing ${name}`, current: 0, total: newItems.length + updateItems.length }, { force: true })
+  let createdCount = 0
+  const publishItemIds = []
+  const changes = [] // for the sync run record
+  // Held items are created as Webflow drafts in their own bulk requests and never published
+  for (const isDraft of [false, true]) {
+    const group = newItems.filter(ni => !!ni.item._hold === isDraft)
+    if (group.length === 0) continue
+    const { created, failed, localeFailed } = await createWebflowItems(
+      collectionId,
+      group.map(ni => ({ ...ni.webflowItem, item: ni.item, hash: ni.hash, webflowHash: ni.webflowHash })),
+      progressCallback,
+      { isDraft }
+    )
+    localeFailed.forEach(f => failedItems.push({ sanityId: f.entry.item._id, error: `${f.locale.tag} locale: ${f.error}` }))
+    const localeFailedIds = new Set(localeFailed.map(f => f.webflowId))
+    
+    // Store new mappings and hashes. A failed locale update leaves the item mapped but without a
+    // hash, so the next run updates it in every locale
+    for (const { entry, webflowItem } of created) {
+      changes.push({ sanityId: entry.item._id, webflowId: webflowItem.id, action: 'created' })
+      idMappings[mappingKey].set(entry.item._id, webflowItem.id)
+      if (!localeFailedIds.has(webflowItem.id)) {
+        persistentHashes.set(`${mappingKey}:${entry.item._id}`, entry.hash)
+        persistentWebflowHashes.set(`${mappingKey}:${entry.item._id}`, entry.webflowHash)
+      }
+      if (!isDraft) publishItemIds.push(webflowItem.id)
+    }
+    createdCount += created.length
+    reportProgress({ current: createdCount })
+    failed.forEach(f => failedItems.push({ sanityId: f.entry.item._id, error: f.error, ...(f.webflowIds?.length ? { webflowIds: f.webflowIds } : {}) }))
+  }
+  
+  // Update existing items in batches, one bulk PATCH per locale
+  let updatedCount = 0
+  const unpublishItemIds = []
+  if (updateItems.length > 0) {
+    console.log(`  🔄 Updating ${updateItems.length} existing ${name} items (delta only)...`)
     
-    // Helper to prepare single image (alt text from asset metadata)
-    const prepareSingleImage = (image, locale = 'en') => {
-      if (!image?.asset?.url) return undefined
-      return {
-        url: image.asset.url,
-        alt: image.asset?.altText || image.asset?.alt || ''
-      }
+    const primary = await updateWebflowItems(
+      collectionId,
+      updateItems.map(u => ({ id: u.webflowId, fieldData: u.webflowItem.fieldData, isDraft: !!u.item._hold, ...(u.revive ? { isArchived: false } : {}), update: u })),
+      FLAG_ENGLISH_ONLY ? null : WEBFLOW_LOCALES.primary?.cmsLocaleId
+    )
+    primary.failed.forEach(f => failedItems.push({ sanityId: f.entry.update.item._id, error: f.error }))
+    
+    // Secondary locales only for items whose primary update went through
+    const localeFailed = new Set()
+    for (const locale of secondaryLocales()) {
+      const localeUpdates = primary.succeeded
+        .filter(entry => entry.update.webflowItem.localeFieldData[locale.cmsLocaleId])
+        .map(entry => ({ id: entry.id, fieldData: entry.update.webflowItem.localeFieldData[locale.cmsLocaleId], update: entry.update }))
+      if (localeUpdates.length === 0) continue
+      const result = await updateWebflowItems(collectionId, localeUpdates, locale.cmsLocaleId)
+      result.failed.forEach(f => {
+        localeFailed.add(f.entry.id)
+        failedItems.push({ sanityId: f.entry.update.item._id, error: `${locale.tag} locale: ${f.error}` })
+      })
     }
     
-    // Parse fullText to extract section texts (body only, no headlines)
-    const parseFullText = (fullTextBlocks) => {
-      if (!fullTextBlocks || !Array.isArray(fullTextBlocks)) {
-        return [null, null, null, null]
-      }
-      
-      const sections = [[], [], [], []]
-      let currentSection = 0
-      
-      for (const block of fullTextBlocks) {
-        // Image marker - extract number from reference (e.g., "images1" → 1)
-        if (block._type === 'imageMarker') {
-          const match = block.reference?.match(/images(\d+)/)
-          if (match) {
-            const markerNum = parseInt(match[1], 10)
-            // After images1 marker → go to section 1, etc.
-            if (markerNum >= 1 && markerNum <= 4) {
-              currentSection = markerNum
-            }
-          }
-          continue
-        }
-        
-        // Regular blocks go to current section
-        if (currentSection >= 0 && currentSection < 4) {
-          sections[currentSection].push(block)
-        }
+    for (const entry of primary.succeeded) {
+      changes.push({ sanityId: entry.update.item._id, webflowId: entry.id, action: 'updated' })
+      // A failed locale update leaves the hash stale so the item is retried next run
+      if (!localeFailed.has(entry.id)) {
+        persistentHashes.set(entry.update.key, entry.update.hash)
+        persistentWebflowHashes.set(entry.update.key, entry.update.webflowHash)
       }
-      
-      return sections.map(s => s.length > 0 ? s : null)
-    }
-    
-    // Map references (DISABLED FOR TESTING - remove linked items)
-    const creatorId = null // item.featuredCreator?._id ? idMappings.creator.get(item.featuredCreator._id) || null : null
-    const materialIds = [] // item.materials?.map(mat => idMappings.material.get(mat._id)).filter(Boolean) || []
-    const mediumIds = [] // item.medium?.map(med => idMappings.medium.get(med._id)).filter(Boolean) || []
-    const finishIds = [] // item.finishes?.map(fin => idMappings.finish.get(fin._id)).filter(Boolean) || []
-    const authorIds = [] // item.authors?.map(auth => idMappings.author.get(auth._id)).filter(Boolean) || []
-    const photographerIds = [] // item.photographers?.map(phot => idMappings.photographer.get(phot._id)).filter(Boolean) || []
-    
-    // Parse fullText for both languages (body sections only)
-    const enSections = parseFullText(item.fullText?.en)
-    const deSections = parseFullText(item.fullText?.de)
-    
-    // Map layout options to Webflow option IDs (each section has unique IDs)
-    const layoutOptionMaps = {
-      section1: {
-        'Full': '4a3ffd42437c7994a25dadc0f20a390d',
-        'Main': '426941337c92fd490afa6c4d1983e7fc',
-        'Small': 'fb19cfd3138f58994c68a524ba22198d',
-        'Sticky left': 'ddf13115fb37e57c018f5433abb9fbdd',
-        'Sticky right': '922aa1d13427fff0d0561eb871532384'
-      },
-      section2: {
-        'Full': '82ddba882ec08cf517470df91d995f18',
-        'Main': '18d480ec08d93d73ab052ef2bae27503',
-        'Small': '0a08cd13f1006d1f88178a5392fca321',
-        'Sticky left': 'acfd171e71355f63201af9876d9caa76',
-        'Sticky right': 'e9f837902fde2529fc01fa694311371c'
-      },
-      section3: {
-        'Full': '043a28f333019108a864de30d9cc206d',
-        'Main': '675ea57ff8d5850d22ab806b75f06f93',
-        'Small': 'ee466bd2505b42d0c7d88f636eaca235',
-        'Sticky left': 'd922cc05e14cb8ecd134c4b069d2311a',
-        'Sticky right': '726f6a3f224d2c769ae2145ae1f8cfba'
-      },
-      section4: {
-        'Full': 'e44367c5ea5238e71c203182aa6c1b80',
-        'Main': '73cc0adf63e794f6430a3659552d2845',
-        'Small': '1ac0040d0c43519fa376a7c7f611b878',
-        'Sticky left': '1b1391a295c99d56d3a29b508ed4b69c',
-        'Sticky right': '995b63c9337888e88e1003fd0b2feb8e'
+      if (!entry.update.item._hold) {
+        publishItemIds.push(entry.id)
+      } else if (entry.update.item._hold !== 'draft' && !webflowById.get(entry.id)?.isDraft) {
+        // Rescheduled or expired while live: take it off the site
+        unpublishItemIds.push(entry.id)
       }
     }
-    
-    // Get creator name and titles
-    const creatorNameStr = item.creatorName || item.featuredCreator?.name || ''
-    const titleEN = item.title?.en || item.title?.de || 'Untitled'
-    const titleDE = item.title?.de || item.title?.en || 'Untitled'
-    const heroHeadlineEN = titleEN // Just the title, no creator name
-    const heroHeadlineDE = titleDE // Just the title, no creator name
-    
-    // English fieldData
-    const englishFields = {
-      name: titleEN,
-      slug: item.slug?.current || generateSlug(`${creatorNameStr} ${titleEN}`),
-      date: item.date || null,
-      issue: item.issue || '',
-      'creator-name': creatorNameStr, // Creator Name field
-      'featured-creator': creatorId,
-      materials: materialIds,
-      'medium-2': mediumIds,
-      finishes: finishIds,
-      'author-s': authorIds,
-      'photographer-s': photographerIds,
-      'hero-headline': heroHeadlineEN,
-      'hero-image-2': prepareSingleImage(item.heroImage, 'en'),
-      intro: convertSanityBlocksToWebflowRichText(item.intro?.en || item.intro?.de),
-      'section-1-images-2': prepareImages(item.section1Images, 'en'),
-      'section-1-layout-3': layoutOptionMaps.section1[item.section1Layout] || layoutOptionMaps.section1['Main'],
-      'section-1-text-2': convertSanityBlocksToWebflowRichText(enSections[0]),
-      'section-1-captions-2': convertCaptionsToWebflowRichText(item.section1Captions?.en),
-      'section-2-images-2': prepareImages(item.section2Images, 'en'),
-      'section-2-layout-3': layoutOptionMaps.section2[item.section2Layout] || layoutOptionMaps.section2['Main'],
-      'section-2-text-2': convertSanityBlocksToWebflowRichText(enSections[1]),
-      'section-2-captions-2': convertCaptionsToWebflowRichText(item.section2Captions?.en),
-      'section-3-images-2': prepareImages(item.section3Images, 'en'),
-      'section-3-layout-3': layoutOptionMaps.section3[item.section3Layout] || layoutOptionMaps.section3['Main'],
-      'section-3-text-2': convertSanityBlocksToWebflowRichText(enSections[2]),
-      'section-3-captions-2': convertCaptionsToWebflowRichText(item.section3Captions?.en),
-      'section-4-images-2': prepareImages(item.section4Images, 'en'),
-      'section-4-layout-3': layoutOptionMaps.section4[item.section4Layout] || layoutOptionMaps.section4['Main'],
-      'section-4-text-2': convertSanityBlocksToWebflowRichText(enSections[3]),
-      'section-4-captions-2': convertCaptionsToWebflowRichText(item.section4Captions?.en),
-      'section-final-image-1': prepareSingleImage(item.sectionFinalImage1, 'en')
-    }
-    
-    // German fieldData (for separate locale update)
-    const germanFields = {
-      name: titleDE,
-      issue: item.issue || '', // Same for both locales
-      'creator-name': creatorNameStr, // Creator Name field (same for both locales)
-      'hero-headline': heroHeadlineDE,
-      'hero-image-2': prepareSingleImage(item.heroImage, 'de'),
-      intro: convertSanityBlocksToWebflowRichText(item.intro?.de || item.intro?.en),
-      'section-1-images-2': prepareImages(item.section1Images, 'de'),
-      'section-1-text-2': convertSanityBlocksToWebflowRichText(deSections[0]),
-      'section-1-captions-2': convertCaptionsToWebflowRichText(item.section1Captions?.de),
-      'section-2-images-2': prepareImages(item.section2Images, 'de'),
-      'section-2-text-2': convertSanityBlocksToWebflowRichText(deSections[1]),
-      'section-2-captions-2': convertCaptionsToWebflowRichText(item.section2Captions?.de),
-      'section-3-images-2': prepareImages(item.section3Images, 'de'),
-      'section-3-text-2': convertSanityBlocksToWebflowRichText(deSections[2]),
-      'section-3-captions-2': convertCaptionsToWebflowRichText(item.section3Captions?.de),
-      'section-4-images-2': prepareImages(item.section4Images, 'de'),
-      'section-4-text-2': convertSanityBlocksToWebflowRichText(deSections[3]),
-      'section-4-captions-2': convertCaptionsToWebflowRichText(item.section4Captions?.de),
-      'section-final-image-1': prepareSingleImage(item.sectionFinalImage1, 'de')
-    }
-    
-    // Filter out undefined values
-    Object.keys(englishFields).forEach(key => {
-      if (englishFields[key] === undefined) delete englishFields[key]
-    })
-    Object.keys(germanFields).forEach(key => {
-      if (germanFields[key] === undefined) delete germanFields[key]
-    })
-    
-    // If called with German locale, return German fields only
-    // Otherwise return English fields with German as secondary data
-    if (isGerman) {
-      return germanFields
-    } else {
-      return {
-        fieldData: englishFields,
-        germanFieldData: germanFields,
-        _sanityItem: item
-      }
+    updatedCount = primary.succeeded.length
+    reportProgress({ current: createdCount + updatedCount })
+    console.log(`    ↳ Updated ${updatedCount}/${updateItems.length}`)
+  }
+  
+  // Batch publish all created and updated items. An item that could not be published loses
+  // its hash, so the next run updates and publishes it again
+  if (FLAG_PUBLISH && publishItemIds.length > 0) {
+    console.log(`  📢 Batch publishing ${publishItemIds.length} created/updated items...`)
+    const { failed } = await publishWebflowItems(collectionId, publishItemIds, progressCallback)
+    for (const { id, error } of failed) {
+      const sanityId = changes.find(change => change.webflowId === id)?.sanityId
+      if (sanityId) persistentHashes.delete(`${mappingKey}:${sanityId}`)
+      failedItems.push({ sanityId, error: `publish failed: ${error}` })
     }
   }
   
+  failedItems.forEach(f => console.warn(`  ⚠️  Sync failed for ${mappingKey}:${f.sanityId}: ${f.error}`))
+  if (unpublishItemIds.length > 0) {
+    console.log(`  ⏸️  Unpublishing ${unpublishItemIds.length} scheduled/expired items...`)
+    try {
+      await unpublishWebflowItems(collectionId, unpublishItemIds)
+    } catch (error) {
+      console.warn(`  ⚠️  Unpublish failed (items may not be live): ${error.message}`)
+    }
+  }
+
+  const section = runCollection(mappingKey)
+  if (section) {
+    section.created += createdCount
+    section.updated += updatedCount
+    section.unchanged += existingCount
+    section.errors += failedItems.length + (orphanLimitBreach ? 1 : 0)
+    section.changes.push(...changes)
+    section.failed.push(...failedItems)
+    if (orphanLimitBreach) section.orphanLimit = orphanLimitBreach
+  }
+
+  console.log(`✅ ${name}: ${createdCount} created, ${updatedCount} updated, ${existingCount} unchanged${failedItems.length ? `, ${failedItems.length} failed` : ''}`)
+  // Creates and updates went through, but the collection is reported failed (`skipped` with
+  // kind 'orphan-limit') so the breach shows up in the run record and the status endpoint
+  if (orphanLimitBreach) {
+    throw new OrphanLimitError(`Orphan removal aborted for ${name}: ${orphanLimitBreach}`)
+  }
+  return createdCount + updatedCount
+}
+
+// Sync one registry entry through the generic engine. `filter` narrows the Sanity query
+// further (the single-item filter is always applied)
+async function syncRegisteredCollection(entry, limit = null, progressCallback = null, filter = '') {
+  // Plan mode still plans (the mismatches are part of the report), a real sync would only hit 400s
+  if (SCHEMA_ERRORS[entry.key] && !global.SYNC_PLAN) {
+    throw new SchemaMismatchError(`Webflow schema mismatch for ${entry.name}: ${SCHEMA_ERRORS[entry.key].join('; ')}`)
+  }
+  if (!WEBFLOW_COLLECTIONS[entry.key]) {
+    throw new SchemaMismatchError(`No Webflow collection found for ${entry.name}`)
+  }
   return syncCollection({
-    name: 'Articles',
-    collectionId: WEBFLOW_COLLECTIONS.article,
-    mappingKey: 'article',
-    sanityQuery: `
-      *[_type == "article" && !(_id in path("drafts.**")) ${filter}] | order(date desc) {
-        _id,
-        creatorName,
-        title,
-        slug,
-        date,
-        issue,
-        featuredCreator->{_id, name},
-        authors[]->{_id},
-        photographers[]->{_id},
-        materials[]->{_id},
-        medium[]->{_id},
-        finishes[]->{_id},
-        intro,
-        fullText,
-        heroImage{
-          asset->{_id, url, originalFilename, altText, alt, metadata, _updatedAt}
-        },
-        section1Images[]{
-          asset->{_id, url, originalFilename, altText, alt, metadata, _updatedAt}
-        },
-        section1Layout,
-        section1Captions,
-        section2Images[]{
-          asset->{_id, url, originalFilename, altText, alt, metadata, _updatedAt}
-        },
-        section2Layout,
-        section2Captions,
-        section3Images[]{
-          asset->{_id, url, originalFilename, altText, alt, metadata, _updatedAt}
-        },
-        section3Layout,
-        section3Captions,
-        section4Images[]{
-          asset->{_id, url, originalFilename, altText, alt, metadata, _updatedAt}
-        },
-        section4Layout,
-        section4Captions,
-        sectionFinalImage1{
-          asset->{_id, url, originalFilename, altText, alt, metadata, _updatedAt}
-        }
-      }
-    `,
-    fieldMapper: null,
-    customImageSync: articleCustomSync,
+    name: entry.name,
+    collectionId: WEBFLOW_COLLECTIONS[entry.key],
+    mappingKey: entry.key,
+    sanityQuery: buildSanityQuery(entry, `${global.SINGLE_ITEM_FILTER || ''} ${filter}`),
+    fieldMapper: (item, locale) => mapCollectionFields(entry, item, locale),
+    validateFields: (fieldData, primary) => validateFieldValues(entry, fieldData, { primary }),
+    prepareItems: prepareRichText,
+    schedule: entry.schedule ? (item) => itemSchedule(entry, item) : null,
+    ownedFields: entry.ownership ? (fieldData, options) => ownedFieldData(entry, fieldData, options) : null,
+    driftHash: (fieldData, localeFieldData) => driftContentHash(entry, fieldData, localeFieldData),
     limit
   }, progressCallback)
 }
 
+// Sync artworks only for a specific subset of creators (by Sanity IDs)
+async function syncArtworksForCreators(creatorIds = []) {
+  if (!Array.isArray(creatorIds) || creatorIds.length === 0) {
+    console.log('⚪ No creator IDs provided for filtered artwork sync. Skipping.')
+    return 0
+  }
+
+  // Inline IDs into query (simple and effective for a one-off filtered sync)
+  const idsList = creatorIds.map(id => `"${id}"`).join(',')
+  return syncRegisteredCollection(
+    { ...COLLECTIONS_BY_KEY.artwork, name: 'Artworks (filtered by creators)' },
+    null,
+    null,
+    `&& defined(creator._ref) && creator._ref in [${idsList}]`
+  )
+}
+
 // PHASE 4: Populate Creator Works (Reverse Linkage)
 async function populateCreatorWorks() {
   console.log('\n🔗 PHASE 4: Populating Creator Works (Reverse Linkage)')
   
+  // `works` follows the creator field ownership: left alone when Webflow owns it, only filled
+  // where it is still empty when it is Sanity-initial
+  const owner = fieldOwner(COLLECTIONS_BY_KEY.creator, 'works')
+  if (owner === 'webflow') {
+    console.log('  ⚪ Creator works are owned by Webflow, skipping')
+    return
+  }
+  
   try {
     // Get ALL creators from Webflow with pagination
-    let allCreators = []
-    let creatorsOffset = 0
-    let hasMoreCreators = true
-    
-    while (hasMoreCreators) {
-      const creatorsResponse = await webflowRequest(`/collections/${WEBFLOW_COLLECTIONS.creator}/items?limit=100&offset=${creatorsOffset}`)
-      allCreators = allCreators.concat(creatorsResponse.items)
-      
-      hasMoreCreators = creatorsResponse.items.length === 100
-      creatorsOffset += 100
-    }
-    
+    const allCreators = await fetchAllItemPages(WEBFLOW_COLLECTIONS.creator)
     console.log(`📋 Found ${allCreators.length} creators to process`)
     
     // Get ALL artworks from Webflow with pagination  
-    let allArtworks = []
-    let artworksOffset = 0
-    let hasMoreArtworks = true
-    
-    while (hasMoreArtworks) {
-      const artworksResponse = await webflowRequest(`/collections/${WEBFLOW_COLLECTIONS.artwork}/items?limit=100&offset=${artworksOffset}`)
-      allArtworks = allArtworks.concat(artworksResponse.items)
-      
-      hasMoreArtworks = artworksResponse.items.length === 100
-      artworksOffset += 100
-    }
+    const allArtworks = await fetchAllItemPages(WEBFLOW_COLLECTIONS.artwork)
     
     console.log(`🖼️  Found ${allArtworks.length} artworks to process`)
     
-    // Process each creator
-    for (let i = 0; i < allCreators.length; i++) {
-      const creator = allCreators[i]
+    // Artwork IDs per creator
+    const artworksByCreator = new Map()
+    for (const artwork of allArtworks) {
+      const creatorId = artwork.fieldData.creator
+      if (!creatorId) continue
+      if (!artworksByCreator.has(creatorId)) artworksByCreator.set(creatorId, [])
+      artworksByCreator.get(creatorId).push(artwork.id)
+    }
+    
+    // Collect the creators whose works changed, then send them through bulk PATCH
+    const updates = []
+    for (const creator of allCreators) {
       const creatorName = creator.fieldData.name
+      const artworkIds = artworksByCreator.get(creator.id) || []
+      const currentWorks = creator.fieldData.works || []
       
-      // Find all artworks that belong to this creator
-      const creatorArtworks = allArtworks.filter(artwork => 
-        artwork.fieldData.creator === creator.id
-      )
-      
-      if (creatorArtworks.length > 0) {
-        console.log(`  🎨 ${creatorName}: ${creatorArtworks.length} artworks`)
-        
-        // Update creator's works field with artwork IDs
-        const artworkIds = creatorArtworks.map(artwork => artwork.id)
-        
-        await webflowRequest(`/collections/${WEBFLOW_COLLECTIONS.creator}/items/${creator.id}`, {
-          method: 'PATCH',
-          body: JSON.stringify({
-            fieldData: {
-              works: artworkIds
-            }
-          })
-        })
-      } else {
+      if (owner === 'sanity-initial' && currentWorks.length > 0) {
+        console.log(`  ⚪ ${creatorName}: works already set, left to Webflow`)
+      } else if (artworkIds.length === 0) {
         console.log(`  ⚪ ${creatorName}: 0 artworks`)
+      } else if ([...currentWorks].sort().join('|') === [...artworkIds].sort().join('|')) {
+        console.log(`  ⚪ ${creatorName}: ${artworkIds.length} artworks, unchanged`)
+      } else {
+        console.log(`  🎨 ${creatorName}: ${artworkIds.length} artworks`)
+        updates.push({ id: creator.id, fieldData: { works: artworkIds }, name: creatorName })
       }
     }
     
-    console.log(`✅ Creator works populated successfully`)
+    const { succeeded, failed } = await updateWebflowItems(WEBFLOW_COLLECTIONS.creator, updates)
+    failed.forEach(f => console.warn(`  ⚠️  Failed to update works for ${f.entry.name}: ${f.error}`))
+    
+    console.log(`✅ Creator works populated successfully (${succeeded.length} updated${failed.length ? `, ${failed.length} failed` : ''})`)
     
   } catch (error) {
     console.error(`❌ Error populating creator works:`, error)
@@ -2547,13 +2531,69 @@ async function populateCreatorWorks() {
   }
 }
 
-// Main sync function
+// Collections in dependency order (later phases reference Webflow IDs from earlier ones)
+const PHASE_TITLES = ['Foundation Data', 'Reference Data', 'Complex Data']
+const SYNC_PHASES = PHASE_TITLES.map((title, index) => ({
+  step: `Phase ${index + 1}`,
+  title,
+  collections: COLLECTIONS
+    .filter(entry => entry.phase === index + 1)
+    .map(entry => ({
+      name: entry.name,
+      key: entry.key,
+      func: (limit, progressCallback) => syncRegisteredCollection(entry, limit, progressCallback)
+    }))
+}))
+
+// References resolve through idMappings, so their target must be synced in an earlier phase
+for (const entry of COLLECTIONS) {
+  for (const [field, spec] of Object.entries(entry.fields)) {
+    const target = spec.collection && COLLECTIONS_BY_KEY[spec.collection]
+    if (target && target.phase >= entry.phase) {
+      throw new Error(`${entry.key}.fields['${field}'] references ${target.key} (phase ${target.phase}) from phase ${entry.phase}`)
+    }
+  }
+}
+
+for (const entry of COLLECTIONS) {
+  for (const [field, owner] of Object.entries(entry.ownership || {})) {
+    if (!FIELD_OWNERS.includes(owner)) {
+      throw new Error(`${entry.key}.ownership['${field}'] is '${owner}', expected ${FIELD_OWNERS.join(', ')}`)
+    }
+  }
+}
+
+// Restrict a phase to the --only collection (matched by key or display name)
+function filterPhaseCollections(collections, only) {
+  return only ? collections.filter(p => p.key === only || normalize(p.name) === normalize(only)) : collections
+}
+
+// Creator works are only relinked when creators are part of the run
+function shouldPopulateCreatorWorks(only) {
+  return !only || only === 'creator' || normalize(only) === 'creators'
+}
+
+// Main sync function, recorded as a sync run (plans are not recorded, they change nothing)
 async function performCompleteSync(progressCallback = null, options = {}) {
-  const { limitPerCollection = null, only = ARG_ONLY } = options || {}
+  const { limitPerCollection = null, only = ARG_ONLY, plan = FLAG_CHECK_ONLY, trigger } = options || {}
+  if (plan) return syncAllCollections(progressCallback, options)
+  return withSyncLock('full', trigger, () =>
+    recordSyncRun('full', trigger, { only, limitPerCollection }, () => syncAllCollections(progressCallback, options)))
+}
+
+async function syncAllCollections(progressCallback = null, options = {}) {
+  const { limitPerCollection = null, only = ARG_ONLY, plan = FLAG_CHECK_ONLY } = options || {}
   const startTime = Date.now()
   let totalSynced = 0
+  const skipped = [] // collections whose sync failed, with the reason
+  
+  // Plan mode (--check-only): decide everything, write nothing, return a report
+  if (plan) {
+    global.SYNC_PLAN = { generatedAt: new Date().toISOString(), collections: {} }
+  }
   
   const updateProgress = (step, message, currentCount = 0, totalCount = 0) => {
+    reportProgress({ phase: step, message }, { force: true })
     if (progressCallback) {
       progressCallback({
         progress: {
@@ -2576,7 +2616,7 @@ async function performCompleteSync(progressCallback = null, options = {}) {
   }
   
   try {
-    console.log('🚀 Starting Complete Sanity → Webflow Sync')
+    console.log(plan ? '📝 Planning Sanity → Webflow Sync (no changes will be made)' : '🚀 Starting Complete Sanity → Webflow Sync')
     console.log('='.repeat(60))
     
     // Resolve Webflow collections for this site
@@ -2592,6 +2632,9 @@ async function performCompleteSync(progressCallback = null, options = {}) {
     await resolveWebflowLocales()
     console.log('🌍 Resolved Webflow locales:', WEBFLOW_LOCALES)
 
+    // Check the collection registry against the live Webflow schemas before writing anything
+    await validateCollectionSchemas(SYNC_PHASES.flatMap(phase => filterPhaseCollections(phase.collections, only).map(c => c.key)))
+
     // Load asset mappings for incremental image sync
     await loadAssetMappings()
     
@@ -2614,26 +2657,21 @@ async function performCompleteSync(progressCallback = null, options = {}) {
     updateProgress('Phase 1', 'Starting foundation data sync...', 0, 6)
     console.log('\n📋 PHASE 1: Foundation Data')
     
-    const phase1All = [
-      { name: 'Material Types', key: 'materialType', func: syncMaterialTypes },
-      { name: 'Finishes', key: 'finish', func: syncFinishes },
-      { name: 'Mediums', key: 'category', func: syncCategories },
-      { name: 'Locations', key: 'location', func: syncLocations },
-      { name: 'Authors', key: 'author', func: syncAuthors },
-      { name: 'Photographers', key: 'photographer', func: syncPhotographers }
-    ]
-    const syncFunctions = (only ? phase1All.filter(p => p.key === only || normalize(p.name) === normalize(only)) : phase1All)
+    const syncFunctions = filterPhaseCollections(SYNC_PHASES[0].collections, only)
     
     for (let i = 0; i < syncFunctions.length; i++) {
-      const { name, func } = syncFunctions[i]
+      const { name, key, func } = syncFunctions[i]
       try {
         updateProgress('Phase 1', `Syncing ${name}...`, i + 1, 6)
         totalSynced += await func(limitPerCollection, progressCallback)
       } catch (error) {
-        console.error(`❌ Failed to sync ${name}: ${error.message}`)
+        assertLeaseHeld()
+        console.error(`❌ Failed to sync ${name} (${errorKind(error)}): ${error.message}`)
+        skipped.push({ collection: key, name, kind: errorKind(error), reason: error.message })
         updateProgress('Phase 1', `Failed to sync ${name}: ${error.message}`, i + 1, 6)
         // Continue with other collections instead of failing completely
       }
+      await checkpointMappings()
     }
     
     emitPhaseComplete('Foundation Data')
@@ -2642,23 +2680,21 @@ async function performCompleteSync(progressCallback = null, options = {}) {
     updateProgress('Phase 2', 'Starting reference data sync...', 0, 3)
     console.log('\n🔗 PHASE 2: Reference Data')
     
-    const phase2All = [
-      { name: 'Materials', key: 'material', func: syncMaterials },
-      { name: 'Types', key: 'medium', func: syncMediums },
-      { name: 'Creators', key: 'creator', func: syncCreators }
-    ]
-    const syncFunctions2 = (only ? phase2All.filter(p => p.key === only || normalize(p.name) === normalize(only)) : phase2All)
+    const syncFunctions2 = filterPhaseCollections(SYNC_PHASES[1].collections, only)
     
     for (let i = 0; i < syncFunctions2.length; i++) {
-      const { name, func } = syncFunctions2[i]
+      const { name, key, func } = syncFunctions2[i]
       try {
         updateProgress('Phase 2', `Syncing ${name}...`, i + 1, 3)
         totalSynced += await func(limitPerCollection, progressCallback)
       } catch (error) {
-        console.error(`❌ Failed to sync ${name}: ${error.message}`)
+        assertLeaseHeld()
+        console.error(`❌ Failed to sync ${name} (${errorKind(error)}): ${error.message}`)
+        skipped.push({ collection: key, name, kind: errorKind(error), reason: error.message })
         updateProgress('Phase 2', `Failed to sync ${name}: ${error.message}`, i + 1, 3)
         // Continue with other collections instead of failing completely
       }
+      await checkpointMappings()
     }
     
     emitPhaseComplete('Reference Data')
@@ -2667,74 +2703,639 @@ async function performCompleteSync(progressCallback = null, options = {}) {
     updateProgress('Phase 3', 'Starting complex content sync...', 0, 2)
     console.log('\n🎨 PHASE 3: Complex Data')
     
-    const phase3All = [
-      { name: 'Artworks', key: 'artwork', func: syncArtworks },
-      { name: 'Articles', key: 'article', func: syncArticles }
-    ]
-    const syncFunctions3 = (only ? phase3All.filter(p => p.key === only || normalize(p.name) === normalize(only)) : phase3All)
+    const syncFunctions3 = filterPhaseCollections(SYNC_PHASES[2].collections, only)
     
     for (let i = 0; i < syncFunctions3.length; i++) {
-      const { name, func } = syncFunctions3[i]
+      const { name, key, func } = syncFunctions3[i]
       try {
         updateProgress('Phase 3', `Syncing ${name} with Images...`, i + 1, 2)
         totalSynced += await func(limitPerCollection, progressCallback)
       } catch (error) {
-        console.error(`❌ Failed to sync ${name}:`, error)
+        assertLeaseHeld()
+        console.error(`❌ Failed to sync ${name} (${errorKind(error)}):`, error)
+        skipped.push({ collection: key, name, kind: errorKind(error), reason: error.message })
         updateProgress('Phase 3', `Failed to sync ${name}: ${error.message}`, i + 1, 2)
       }
+      await checkpointMappings()
     }
     
     emitPhaseComplete('Complex Data')
     
     // PHASE 4: Populate Creator Works (Reverse Linkage)
-    if (!only || only === 'creator' || normalize(only) === 'creators') {
+    if (shouldPopulateCreatorWorks(only) && !plan) {
       try {
         updateProgress('Phase 4', 'Linking artworks to creators...', 1, 1)
         await populateCreatorWorks()
       } catch (error) {
+        assertLeaseHeld()
         console.error(`❌ Failed to populate creator works:`, error)
         updateProgress('Phase 4', `Failed to populate creator works: ${error.message}`, 1, 1)
       }
     }
-    
-    emitPhaseComplete('Reverse Linkage')
-    
-    const duration = ((Date.now() - startTime) / 1000).toFixed(1)
-    console.log(`\n✅ Complete sync finished in ${duration}s`)
-    console.log(`📊 Total items synced: ${totalSynced}`)
-    
-    // Save asset mappings for future incremental syncs
-    await saveAssetMappings()
-    
-    // Save ID mappings for future persistent ID matching
-    await saveIdMappings()
-    
-    updateProgress('Complete', `Sync completed! ${totalSynced} items synced`, totalSynced, totalSynced)
-    
-    return {
-      success: true,
-      totalSynced,
-      duration: `${duration}s`,
-      timestamp: new Date().toISOString()
+    
+    emitPhaseComplete('Reverse Linkage')
+    
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1)
+    console.log(`\n✅ Complete ${plan ? 'plan' : 'sync'} finished in ${duration}s`)
+    console.log(`📊 Total items synced: ${totalSynced}`)
+    if (skipped.length > 0) {
+      console.log(`⏭️  Skipped ${skipped.length} collection(s):`)
+      skipped.forEach(skip => console.log(`   - ${skip.name} [${skip.kind}]: ${skip.reason}`))
+    }
+    
+    // Save asset and ID mappings for future incremental syncs
+    await checkpointMappings()
+    
+    if (plan) {
+      const report = global.SYNC_PLAN
+      report.summary = Object.values(report.collections).reduce((sum, c) => ({
+        create: sum.create + c.create.length,
+        update: sum.update + c.update.length,
+        delete: sum.delete + c.delete.length,
+        unchanged: sum.unchanged + c.unchanged,
+        unresolvedReferences: sum.unresolvedReferences + c.unresolvedReferences.length
+      }), { create: 0, update: 0, delete: 0, unchanged: 0, unresolvedReferences: 0 })
+      updateProgress('Complete', `Plan ready: ${report.summary.create} to create, ${report.summary.update} to update, ${report.summary.delete} to delete`)
+      return {
+        success: true,
+        plan: report,
+        skipped,
+        duration: `${duration}s`,
+        timestamp: new Date().toISOString()
+      }
+    }
+    
+    updateProgress('Complete', `Sync completed! ${totalSynced} items synced${skipped.length ? `, ${skipped.length} collection(s) skipped` : ''}`, totalSynced, totalSynced)
+    
+    return {
+      success: true,
+      totalSynced,
+      skipped,
+      duration: `${duration}s`,
+      timestamp: new Date().toISOString()
+    }
+    
+  } catch (error) {
+    console.error('❌ Sync failed:', error.message)
+    if (progressCallback) {
+      progressCallback({
+        phase: 'Error',
+        message: error.message,
+        error: true
+      })
+    }
+    throw error
+  } finally {
+    delete global.SYNC_PLAN
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESUMABLE SYNC JOB (chunked full sync that survives the function timeout)
+// ═══════════════════════════════════════════════════════════════════════════════
+const SYNC_JOB_CHUNK_SIZE = Number(process.env.SYNC_JOB_CHUNK_SIZE) || 25
+const SYNC_JOB_TIME_BUDGET_MS = Number(process.env.SYNC_JOB_TIME_BUDGET_MS) || 240000 // Leave headroom under maxDuration (300s)
+const SYNC_JOB_LEASE_MS = Number(process.env.SYNC_JOB_LEASE_MS) || 10 * 60 * 1000 // Lock kept between invocations
+const SYNC_JOB_CHUNK_ATTEMPTS = Number(process.env.SYNC_JOB_CHUNK_ATTEMPTS) || 3 // Tries per chunk before it is skipped
+
+function createSyncJob(options = {}) {
+  const { only = null, limitPerCollection = null, chunkSize = SYNC_JOB_CHUNK_SIZE } = options
+  const queue = SYNC_PHASES.flatMap(phase => filterPhaseCollections(phase.collections, only).map(c => c.key))
+  return {
+    jobId: crypto.randomUUID(),
+    status: 'running',
+    only,
+    limitPerCollection,
+    chunkSize,
+    queue,
+    cursor: queue.length > 0 ? { collection: queue[0], after: null, attempts: 0 } : null,
+    completedCollections: [],
+    errors: [],
+    totalSynced: 0,
+    invocations: 0,
+    startedAt: new Date().toISOString(),
+    completedAt: null // Saved as a patch, so a new job clears the last job's fields
+  }
+}
+
+// Cursor for logs: '<collection>:<last document ID done>'
+function describeCursor(cursor) {
+  return `${cursor?.collection}:${cursor?.after || 'start'}`
+}
+
+// Run one invocation's worth of a resumable sync job: process chunks until the time budget
+// is spent, checkpointing mappings and the job cursor after every chunk. Call again until done.
+// The job holds the sync lock until it is done: an invocation takes over the lease parked under
+// the holder saved in the job, and parks it again for SYNC_JOB_LEASE_MS when it stops. Single
+// items queue meanwhile and run at the end of every invocation
+async function runSyncJob(progressCallback = null, options = {}) {
+  const parked = await stateStore.loadJob()
+  const lease = await acquireSyncLock('job', options?.trigger, { from: parked?.status === 'running' ? parked.lockHolder : null })
+  try {
+    return await stepSyncJob(progressCallback, { ...options, lockHolder: lease.lock.holder })
+  } finally {
+    // Only a job still running under this lease keeps it, e.g. not a new job that failed to start
+    const job = await stateStore.loadJob().catch(() => null)
+    const running = job?.status === 'running' && job.lockHolder === lease.lock.holder
+    await releaseSyncLock(lease, { keepFor: running ? SYNC_JOB_LEASE_MS : 0 })
+  }
+}
+
+async function stepSyncJob(progressCallback = null, options = {}) {
+  const { restart = false, timeBudgetMs = SYNC_JOB_TIME_BUDGET_MS, trigger, lockHolder = null } = options || {}
+  const startTime = Date.now()
+
+  WEBFLOW_COLLECTIONS = await resolveWebflowCollections()
+  await resolveWebflowLocales()
+  await loadAssetMappings()
+  await loadIdMappings()
+  loadPersistentMappings()
+
+  let job = await stateStore.loadJob()
+  if (!job || job.status !== 'running' || restart) {
+    job = createSyncJob(options)
+    console.log(`🧩 Starting sync job ${job.jobId}: ${job.queue.join(', ')}`)
+    await rebuildIdMappings()
+  } else {
+    console.log(`🧩 Resuming sync job ${job.jobId} at ${describeCursor(job.cursor)}`)
+  }
+  job.lockHolder = lockHolder // Lets the next invocation take over the lease
+  // Schemas are re-checked every invocation, a field may have changed since the last one
+  await validateCollectionSchemas(job.queue.filter(key => !job.completedCollections.includes(key)))
+  job.invocations = (job.invocations || 0) + 1
+
+  // One sync run covers the whole job, every invocation adds to it
+  let run = job.runId ? await stateStore.getRun(job.runId).catch(() => null) : null
+  if (!run) {
+    run = createSyncRun('job', trigger, { jobId: job.jobId, only: job.only, limitPerCollection: job.limitPerCollection })
+    job.runId = run.id
+  }
+  global.SYNC_RUN = run
+  reportProgress({ phase: 'Sync job', message: `Invocation ${job.invocations}` }, { force: true })
+  const saveJobRun = async () => {
+    run.skipped = (job.errors || []).map(e => ({ collection: e.collection, name: COLLECTIONS_BY_KEY[e.collection]?.name || e.collection, kind: e.kind || 'error', reason: e.message }))
+    await saveSyncRun(run)
+  }
+  await stateStore.saveJob(job)
+
+  const allCollections = SYNC_PHASES.flatMap(phase => phase.collections)
+  let slowestChunkMs = 0
+  let chunksRun = 0
+
+  while (job.cursor) {
+    // Always make progress: at least one chunk per invocation, then stop before the budget runs out
+    const elapsed = Date.now() - startTime
+    if (chunksRun > 0 && elapsed + slowestChunkMs > timeBudgetMs) {
+      console.log(`⏸️  Time budget reached after ${(elapsed / 1000).toFixed(1)}s, job will resume on next invocation`)
+      break
+    }
+
+    const { collection, after = null, attempts = 0 } = job.cursor
+    const entry = allCollections.find(c => c.key === collection)
+    const chunkStart = Date.now()
+    const chunk = global.SYNC_CHUNK = { after, size: job.chunkSize }
+    const where = describeCursor(job.cursor)
+
+    let failed = false
+    try {
+      reportProgress({ phase: `Sync job (${job.completedCollections.length + 1}/${job.queue.length})`, message: `Syncing ${entry.name} from ${where}...` }, { force: true })
+      if (progressCallback) {
+        progressCallback({ progress: { phase: 'Sync job', message: `Syncing ${entry.name} from ${where}...`, current: job.completedCollections.length, total: job.queue.length } })
+      }
+      job.totalSynced += await entry.func(job.limitPerCollection, progressCallback)
+    } catch (error) {
+      assertLeaseHeld()
+      failed = true
+      if (attempts + 1 < SYNC_JOB_CHUNK_ATTEMPTS) {
+        // Likely transient: the next invocation runs the same chunk again
+        console.error(`❌ Sync job chunk ${where} failed (attempt ${attempts + 1}/${SYNC_JOB_CHUNK_ATTEMPTS}), retrying on the next invocation: ${error.message}`)
+        job.cursor = { collection, after, attempts: attempts + 1 }
+      } else {
+        // Out of attempts: skip past the chunk, or past the collection when not even its items were read
+        console.error(`❌ Sync job chunk ${where} failed ${SYNC_JOB_CHUNK_ATTEMPTS} times, skipping it: ${error.message}`)
+        job.errors = [...(job.errors || []), { collection, after, kind: errorKind(error), message: error.message, at: new Date().toISOString() }]
+        chunk.done = chunk.last === undefined || chunk.done
+        failed = false
+      }
+    } finally {
+      delete global.SYNC_CHUNK
+    }
+
+    if (failed) {
+      // The cursor stays at the failed chunk
+    } else if (!chunk.done) {
+      job.cursor = { collection, after: chunk.last, attempts: 0 }
+    } else {
+      job.completedCollections = [...job.completedCollections, collection]
+      const next = job.queue[job.queue.indexOf(collection) + 1]
+      job.cursor = next ? { collection: next, after: null, attempts: 0 } : null
+    }
+
+    chunksRun++
+    slowestChunkMs = Math.max(slowestChunkMs, Date.now() - chunkStart)
+    // The cursor only moves once the chunk's mappings are saved; a failed save throws and the
+    // next invocation runs the chunk again
+    await checkpointMappings()
+    await stateStore.saveJob(job)
+    await saveJobRun()
+    if (failed) break
+  }
+
+  if (!job.cursor) {
+    if (shouldPopulateCreatorWorks(job.only)) {
+      try {
+        await populateCreatorWorks()
+      } catch (error) {
+        assertLeaseHeld()
+        job.errors = [...(job.errors || []), { collection: 'creator', after: null, message: `Creator works: ${error.message}`, at: new Date().toISOString() }]
+      }
+    }
+    job.status = 'completed'
+    job.completedAt = new Date().toISOString()
+    await stateStore.saveJob(job)
+    console.log(`✅ Sync job ${job.jobId} completed (${job.totalSynced} items synced over ${job.invocations} invocations)`)
+    run.status = 'completed'
+    run.finishedAt = job.completedAt
+  }
+  delete global.SYNC_RUN
+  await saveJobRun()
+  if (run.status === 'running') {
+    await finishProgress(run, { running: true, phase: 'Sync job', message: `Waiting for the next invocation at ${describeCursor(job.cursor)}` })
+  } else {
+    await finishProgress(run)
+  }
+
+  return {
+    done: job.status === 'completed',
+    jobId: job.jobId,
+    status: job.status,
+    cursor: job.cursor,
+    completedCollections: job.completedCollections,
+    remainingCollections: job.queue.filter(c => !job.completedCollections.includes(c)),
+    totalSynced: job.totalSynced,
+    invocations: job.invocations,
+    errors: job.errors,
+    runId: run.id,
+    duration: `${((Date.now() - startTime) / 1000).toFixed(1)}s`
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEDULED PUBLISHING (cron)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Set the Webflow draft flag on items, returns the IDs that were updated
+async function setWebflowDraftState(collectionId, itemIds, isDraft) {
+  const { succeeded, failed } = await runBulkBatches(itemIds, async (batch) => {
+    await webflowRequest(`/collections/${collectionId}/items`, {
+      method: 'PATCH',
+      body: JSON.stringify({ items: batch.map(id => ({ id, isDraft })) })
+    })
+    return batch
+  })
+  failed.forEach(({ entry, error }) => console.warn(`  ⚠️  Failed to set isDraft=${isDraft} on ${entry}: ${error}`))
+  return succeeded
+}
+
+// Publish held items whose publish date has come and take down live items past their end date.
+// Only the draft state changes: the content was already synced while the item was held back
+async function publishScheduledItems(options = {}) {
+  const { only = null, trigger } = options
+  return withSyncLock('publish-scheduled', trigger, () =>
+    recordSyncRun('publish-scheduled', trigger, { only }, () => applySchedules(options)))
+}
+
+async function applySchedules(options = {}) {
+  const { only = null } = options
+  console.log('\n⏰ Publishing scheduled items...')
+
+  WEBFLOW_COLLECTIONS = await resolveWebflowCollections()
+  await resolveWebflowLocales()
+  await loadIdMappings()
+  loadPersistentMappings()
+
+  const now = Date.now()
+  const result = { published: [], unpublished: [], failed: [] }
+  for (const entry of COLLECTIONS.filter(e => e.schedule && (!only || e.key === only))) {
+    const collectionId = WEBFLOW_COLLECTIONS[entry.key]
+    if (!collectionId) continue
+
+    const fields = [...new Set(Object.values(entry.schedule))]
+    let docs
+    try {
+      docs = await sanityClient.fetch(
+        `*[_type == $type && !(_id in path("drafts.**")) && (${fields.map(f => `defined(${f})`).join(' || ')})]{ _id, ${fields.join(', ')} }`,
+        { type: entry.key }
+      )
+    } catch (error) {
+      throw new SanityReadError(`Schedule query for ${entry.name} failed: ${error.message}`, { cause: error })
+    }
+
+    const toPublish = []
+    const toUnpublish = []
+    for (const doc of docs || []) {
+      const key = `${entry.key}:${doc._id}`
+      const hash = persistentHashes.get(key)
+      const webflowId = idMappings[entry.key].get(doc._id)
+      const held = hashHold(hash)
+      // Unsynced, archived items and staged drafts are left to the next sync
+      if (!webflowId || !hash || hash === ARCHIVED_HASH || held === 'draft') continue
+
+      const hold = itemHold(doc, itemSchedule(entry, doc), now)
+      if (hold === held) continue
+      const change = { sanityId: doc._id, webflowId, key, hash: holdHash(hold, held ? hash.slice(held.length + 1) : hash) }
+      if (!hold) toPublish.push(change)
+      else if (!held) toUnpublish.push(change)
+      else persistentHashes.set(key, change.hash) // Its whole window passed while it was held
+    }
+
+    if (toPublish.length > 0) {
+      // Only a successful publish applies the schedule; anything else is retried by the next run
+      const ready = await setWebflowDraftState(collectionId, toPublish.map(c => c.webflowId), false)
+      const { published, failed } = await publishWebflowItems(collectionId, ready)
+      const live = new Set(published)
+      const errors = new Map(failed.map(f => [f.id, f.error]))
+      for (const change of toPublish) {
+        if (!live.has(change.webflowId)) {
+          result.failed.push({ collection: entry.key, sanityId: change.sanityId, action: 'publish', error: errors.get(change.webflowId) || 'draft state not updated' })
+          continue
+        }
+        persistentHashes.set(change.key, change.hash)
+        runCollection(entry.key)?.changes.push({ sanityId: change.sanityId, webflowId: change.webflowId, action: 'published' })
+        result.published.push({ collection: entry.key, sanityId: change.sanityId, webflowId: change.webflowId })
+      }
+      console.log(`  📢 ${entry.name}: published ${live.size}/${toPublish.length} scheduled items`)
+    }
+
+    if (toUnpublish.length > 0) {
+      const ids = toUnpublish.map(c => c.webflowId)
+      try {
+        await unpublishWebflowItems(collectionId, ids)
+      } catch (error) {
+        console.warn(`  ⚠️  Unpublish failed (items may not be live): ${error.message}`)
+      }
+      const held = new Set(await setWebflowDraftState(collectionId, ids, true))
+      for (const change of toUnpublish) {
+        if (!held.has(change.webflowId)) {
+          result.failed.push({ collection: entry.key, sanityId: change.sanityId, action: 'unpublish' })
+          continue
+        }
+        persistentHashes.set(change.key, change.hash)
+        recordRemoval(entry.key, change.webflowId, 'unpublished', change.sanityId)
+        result.unpublished.push({ collection: entry.key, sanityId: change.sanityId, webflowId: change.webflowId })
+      }
+      console.log(`  ⏸️  ${entry.name}: unpublished ${held.size}/${toUnpublish.length} expired items`)
+    }
+  }
+
+  await saveIdMappings()
+  console.log(`✅ Scheduled publishing: ${result.published.length} published, ${result.unpublished.length} unpublished${result.failed.length ? `, ${result.failed.length} failed` : ''}`)
+  return result
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DRIFT DETECTION (Webflow edits made outside the sync, see /api/sync-drift)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Hash without its hold prefix: the content part of what was last sent
+function contentHash(hash) {
+  const hold = hashHold(hash)
+  return hold ? hash.slice(hold.length + 1) : hash
+}
+
+// The fields of `like` in fieldData, as drift detection compares them. Rich text is normalized
+// because Webflow rewrites the HTML it stores
+function comparableFieldData(entry, fieldData = {}, like = fieldData) {
+  const richText = new Set(Object.entries(entryFields(entry))
+    .filter(([, spec]) => expectedFieldTypes(spec)?.includes('RichText'))
+    .map(([field]) => field))
+  return Object.fromEntries(Object.keys(like).map(field => {
+    const value = fieldData[field]
+    return [field, richText.has(field) ? normalizeRichTextHtml(value) : value]
+  }))
+}
+
+// Field changes between live Webflow fieldData and the mapped Sanity fieldData, with raw values
+function driftChanges(entry, live = {}, mapped) {
+  return diffFieldData(comparableFieldData(entry, live, mapped), comparableFieldData(entry, mapped))
+    .map(change => ({ field: change.field, from: live[change.field] ?? null, to: mapped[change.field] ?? null }))
+}
+
+// Hash of Webflow content in its compared form, limited to the fields `like` has. Recorded for
+// what a sync sends, so drift detection can tell whether Webflow changed since
+function driftContentHash(entry, fieldData, localeFieldData = {}, like = { fieldData, localeFieldData }) {
+  const comparable = (data, fields) => Object.entries(comparableFieldData(entry, data, fields))
+    .map(([field, value]) => [field, isEmptyFieldValue(value) ? null : comparableFieldValue(value)])
+  const hashed = comparable(fieldData, like.fieldData)
+  for (const locale of WEBFLOW_LOCALES.secondary) {
+    const fields = like.localeFieldData[locale.cmsLocaleId]
+    if (!fields) continue
+    hashed.push(...comparable(localeFieldData[locale.cmsLocaleId], fields).map(([field, value]) => [`${locale.tag}:${field}`, value]))
+  }
+  hashed.sort(([a], [b]) => a.localeCompare(b))
+  return generateMD5Hash(Buffer.from(JSON.stringify(hashed)))
+}
+
+// Live items of one locale (the primary locale without `locale`), by Webflow item ID
+async function fetchLiveItems(collectionId, locale = null) {
+  const items = await fetchAllItemPages(collectionId, locale ? `&cmsLocaleId=${locale.cmsLocaleId}` : '')
+  return new Map(items.map(item => [item.id, item]))
+}
+
+// Report Webflow items whose live content differs from what the sync would send. Only items
+// whose Sanity document is unchanged since the last sync are drift: their last-sent content is
+// the current mapping, so any difference was made in Webflow. Items changed in Sanity are
+// `conflicts` when Webflow also changed since the last sync (the next sync would overwrite that
+// edit), otherwise `pending`, the next sync updates them anyway
+async function detectDrift(options = {}) {
+  const { only = ARG_ONLY } = options
+  console.log('\n🔭 Checking live Webflow content for drift...')
+
+  WEBFLOW_COLLECTIONS = await resolveWebflowCollections()
+  await resolveWebflowLocales()
+  await loadAssetMappings()
+  await loadIdMappings()
+  loadPersistentMappings()
+  const keys = SYNC_PHASES.flatMap(phase => filterPhaseCollections(phase.collections, only).map(c => c.key))
+  await validateCollectionSchemas(keys)
+  const acceptances = await stateStore.loadDriftAcceptances()
+
+  const report = { generatedAt: new Date().toISOString(), collections: {}, skipped: [] }
+  for (const key of keys) {
+    const entry = COLLECTIONS_BY_KEY[key]
+    try {
+      report.collections[key] = await detectCollectionDrift(entry, acceptances)
+    } catch (error) {
+      console.error(`❌ Drift check for ${entry.name} failed: ${error.message}`)
+      report.skipped.push({ collection: key, name: entry.name, kind: errorKind(error), reason: error.message })
+    }
+  }
+
+  const sections = Object.values(report.collections)
+  const sum = field => sections.reduce((total, c) => total + (Array.isArray(c[field]) ? c[field].length : c[field]), 0)
+  report.summary = { checked: sum('checked'), inSync: sum('inSync'), drifted: sum('drifted'), conflicts: sum('conflicts'), pending: sum('pending'), accepted: sum('accepted') }
+  console.log(`🔭 Drift: ${report.summary.drifted} drifted, ${report.summary.conflicts} conflicts, ${report.summary.pending} pending, ${report.summary.accepted} accepted of ${report.summary.checked} items`)
+  return report
+}
+
+async function detectCollectionDrift(entry, acceptances) {
+  if (SCHEMA_ERRORS[entry.key]) {
+    throw new SchemaMismatchError(`Webflow schema mismatch for ${entry.name}: ${SCHEMA_ERRORS[entry.key].join('; ')}`)
+  }
+  const collectionId = WEBFLOW_COLLECTIONS[entry.key]
+  if (!collectionId) {
+    throw new SchemaMismatchError(`No Webflow collection found for ${entry.name}`)
+  }
+
+  let items
+  try {
+    items = await sanityClient.fetch(buildSanityQuery(entry))
+  } catch (error) {
+    throw new SanityReadError(`Sanity query for ${entry.name} failed: ${error.message}`, { cause: error })
+  }
+  if (!Array.isArray(items)) {
+    throw new SanityReadError(`Sanity query for ${entry.name} did not return a list`)
+  }
+  if (FLAG_SYNC_DRAFTS) items = await resolveStagingDrafts(items)
+  await loadLinkTargets(items)
+  await loadInlineImages(items, false)
+
+  const live = await fetchLiveItems(collectionId)
+  const liveByLocale = new Map()
+  for (const locale of secondaryLocales()) {
+    liveByLocale.set(locale, await fetchLiveItems(collectionId, locale))
+  }
+
+  const result = { name: entry.name, checked: 0, inSync: 0, drifted: [], conflicts: [], pending: [], accepted: 0 }
+  for (const item of items) {
+    const webflowId = idMappings[entry.key].get(item._id)
+    const liveItem = webflowId ? live.get(webflowId) : null
+    if (!liveItem) continue
+
+    let fieldData
+    const localeFieldData = {}
+    try {
+      fieldData = mapCollectionFields(entry, item)
+      for (const locale of liveByLocale.keys()) {
+        const fields = mapCollectionFields(entry, item, locale.sanityKey)
+        if (fields && Object.keys(fields).length > 0) localeFieldData[locale.cmsLocaleId] = fields
+      }
+    } catch (error) {
+      console.warn(`  ⚠️  Drift check skipped ${entry.key}:${item._id}: ${error.message}`)
+      continue
+    }
+
+    // Only fields updates send are compared: never the slug, Webflow-owned or Sanity-initial fields
+    const { slug, ...mapped } = ownedFieldData(entry, fieldData)
+    for (const [localeId, fields] of Object.entries(localeFieldData)) {
+      localeFieldData[localeId] = ownedFieldData(entry, fields)
     }
-    
-  } catch (error) {
-    console.error('❌ Sync failed:', error.message)
-    if (progressCallback) {
-      progressCallback({
-        phase: 'Error',
-        message: error.message,
-        error: true
-      })
+    const fields = driftChanges(entry, liveItem.fieldData, mapped)
+      .map(change => ({ field: change.field, locale: WEBFLOW_LOCALES.primary?.tag || null, webflow: change.from, sanity: change.to }))
+    for (const [locale, liveItems] of liveByLocale) {
+      const localeFields = localeFieldData[locale.cmsLocaleId]
+      if (!localeFields) continue
+      fields.push(...driftChanges(entry, liveItems.get(webflowId)?.fieldData, localeFields)
+        .map(change => ({ field: change.field, locale: locale.tag, webflow: change.from, sanity: change.to })))
     }
-    throw error
+
+    result.checked++
+    if (fields.length === 0) {
+      result.inSync++
+      continue
+    }
+
+    const key = `${entry.key}:${item._id}`
+    const sentHash = persistentHashes.get(key)
+    if (!sentHash || contentHash(sentHash) !== localizedHash(mapped, localeFieldData)) {
+      // Items synced before baselines were recorded have none, they stay pending until their next sync
+      const baseline = persistentWebflowHashes.get(key)
+      const liveLocales = Object.fromEntries([...liveByLocale].map(([locale, liveItems]) => [locale.cmsLocaleId, liveItems.get(webflowId)?.fieldData]))
+      if (baseline && baseline !== driftContentHash(entry, liveItem.fieldData, liveLocales, { fieldData: mapped, localeFieldData })) {
+        result.conflicts.push({
+          sanityId: item._id,
+          webflowId,
+          name: fieldData.name || null,
+          fields,
+          actions: { overwrite: { action: 'overwrite', collection: entry.key, sanityId: item._id } }
+        })
+        continue
+      }
+      result.pending.push({ sanityId: item._id, webflowId, fields: [...new Set(fields.map(f => f.field))] })
+      continue
+    }
+
+    // Identifies this exact Webflow content, so accepting it does not hide later edits
+    const driftHash = generateMD5Hash(Buffer.from(JSON.stringify(fields.map(f => [f.locale, f.field, f.webflow]))))
+    const acceptance = acceptances.get(key)
+    if (acceptance?.driftHash === driftHash && acceptance.sentHash === sentHash) {
+      result.accepted++
+      continue
+    }
+
+    result.drifted.push({
+      sanityId: item._id,
+      webflowId,
+      name: fieldData.name || null,
+      fields,
+      driftHash,
+      actions: {
+        overwrite: { action: 'overwrite', collection: entry.key, sanityId: item._id },
+        accept: { action: 'accept', collection: entry.key, sanityId: item._id, driftHash }
+      }
+    })
+  }
+
+  console.log(`  🔭 ${entry.name}: ${result.drifted.length} drifted, ${result.conflicts.length} conflicts, ${result.pending.length} pending, ${result.inSync} in sync`)
+  return result
+}
+
+// Apply one of a drift entry's actions:
+//   overwrite   sync the Sanity document again, even though its hash is unchanged
+//   accept      keep the Webflow content; the entry is no longer reported until Webflow or
+//               Sanity changes again (a later Sanity change is synced over it as usual)
+async function resolveDrift(options = {}) {
+  const { action, collection, sanityId, driftHash = null, trigger } = options
+  if (!COLLECTIONS_BY_KEY[collection]) {
+    throw new Error(`Unsupported document type: ${collection}`)
+  }
+  const key = `${collection}:${sanityId}`
+
+  if (action === 'accept') {
+    if (!driftHash) throw new Error('driftHash is required to accept Webflow content')
+    await loadIdMappings()
+    const sentHash = persistentHashes.get(key)
+    if (!sentHash) throw new Error(`${key} has not been synced to Webflow`)
+    await stateStore.saveDriftAcceptance(key, { driftHash, sentHash, acceptedAt: new Date().toISOString() })
+    console.log(`✅ Accepted Webflow content of ${key}`)
+    return { action, collection, sanityId, driftHash }
+  }
+
+  if (action === 'overwrite') {
+    return withSyncLock('drift-overwrite', trigger, () =>
+      recordSyncRun('drift-overwrite', trigger, { documentId: sanityId, documentType: collection }, async () => {
+        const forceUpdate = global.FORCE_UPDATE
+        global.FORCE_UPDATE = true
+        try {
+          return { action, ...(await syncOneDocument(sanityId, collection, true)) }
+        } finally {
+          global.FORCE_UPDATE = forceUpdate
+        }
+      }))
   }
+
+  throw new Error(`Unknown drift action: ${action} (expected 'overwrite' or 'accept')`)
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SINGLE ITEM SYNC
 // ═══════════════════════════════════════════════════════════════════════════════
-async function syncSingleItem(documentId, documentType, autoPublish = true) {
+// Queued (`queued: true` in the result) when another run holds the sync lock
+async function syncSingleItem(documentId, documentType, autoPublish = true, options = {}) {
+  return runOrQueueSingleItem({ operation: 'sync', documentId, documentType, autoPublish, trigger: options.trigger || DEFAULT_TRIGGER })
+}
+
+async function syncOneDocument(documentId, documentType, autoPublish) {
   console.log(`\n🔍 Syncing single item: ${documentType}/${documentId}`)
   console.log('⏳ Fetching from Sanity...')
   
@@ -2743,42 +3344,34 @@ async function syncSingleItem(documentId, documentType, autoPublish = true) {
   await resolveWebflowLocales()
   await loadIdMappings()
   loadPersistentMappings()
+  if (COLLECTIONS_BY_KEY[documentType]) {
+    await validateCollectionSchemas([documentType])
+  }
   
   // Set global filter for targeted query
   const baseId = documentId.replace('drafts.', '')
   global.SINGLE_ITEM_FILTER = `&& (_id == "${baseId}" || _id == "drafts.${baseId}")`
   
   try {
-    // Map document type to sync function
-    const syncFunctions = {
-      creator: () => syncCreators(1),
-      artwork: () => syncArtworks(1),
-      article: () => syncArticles(1),
-      author: () => syncAuthors(1),
-      photographer: () => syncPhotographers(1),
-      category: () => syncCategories(1),
-      medium: () => syncMediums(1),
-      material: () => syncMaterials(1),
-      materialType: () => syncMaterialTypes(1),
-      finish: () => syncFinishes(1),
-      location: () => syncLocations(1)
-    }
-    
-    const syncFn = syncFunctions[documentType]
-    if (!syncFn) {
+    const entry = COLLECTIONS_BY_KEY[documentType]
+    if (!entry) {
       throw new Error(`Unsupported document type: ${documentType}`)
     }
     
     // Run the sync for this single item
-    await syncFn()
+    await syncRegisteredCollection(entry, 1)
     
     // Publish if requested
+    let published = false
     if (autoPublish) {
       const collectionId = WEBFLOW_COLLECTIONS[documentType]
       const webflowId = idMappings[documentType]?.get(baseId)
-      if (webflowId && collectionId) {
+      const hold = itemHoldFor(documentType, baseId)
+      if (hold) {
+        console.log(`  📝 ${documentType}/${baseId} is held back (${hold}), not publishing`)
+      } else if (webflowId && collectionId) {
         console.log(`  📤 Publishing ${documentType}/${baseId} (${webflowId})`)
-        await publishWebflowItems(collectionId, [webflowId])
+        published = (await publishWebflowItems(collectionId, [webflowId])).published.length > 0
       } else {
         console.log(`  ⚠️  No webflowId found for ${documentType}:${baseId}`)
       }
@@ -2791,7 +3384,8 @@ async function syncSingleItem(documentId, documentType, autoPublish = true) {
       documentId: baseId,
       documentType,
       webflowId: idMappings[documentType]?.get(baseId),
-      published: autoPublish
+      published,
+      hold: itemHoldFor(documentType, baseId)
     }
   } finally {
     // Clean up global filter
@@ -2799,23 +3393,351 @@ async function syncSingleItem(documentId, documentType, autoPublish = true) {
   }
 }
 
-// Main API handler
-module.exports = async function handler(req, res) {
-  // CORS headers - allow all necessary headers (echo requested headers for preflight)
-  res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
-  const requested = req.headers['access-control-request-headers']
-  if (requested) {
-    res.setHeader('Access-Control-Allow-Headers', requested)
-  } else {
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, content-type, Authorization')
+// ═══════════════════════════════════════════════════════════════════════════════
+// ORPHAN SAFEGUARDS (Webflow items no Sanity document claims)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// 'delete' removes orphans, 'archive' takes them off the site and archives them, 'quarantine'
+// archives them and lists them for a later --purge-quarantine
+const ORPHAN_MODES = ['delete', 'archive', 'quarantine']
+const ORPHAN_MODE = ORPHAN_MODES.includes(process.env.ORPHAN_MODE) ? process.env.ORPHAN_MODE : 'delete'
+
+// A run refuses to remove more orphans than this from one collection (partial reads or broken
+// mappings look exactly like a mass deletion)
+const ORPHAN_MAX_COUNT = Number(process.env.ORPHAN_MAX_COUNT || 50)
+const ORPHAN_MAX_PERCENT = Number(process.env.ORPHAN_MAX_PERCENT || 20)
+
+// Reason to refuse removing `orphanCount` of `totalCount` items, or null when within limits.
+// A single orphan never counts as a mass removal for the percentage limit
+function orphanLimitError(orphanCount, totalCount) {
+  if (orphanCount > ORPHAN_MAX_COUNT) {
+    return `${orphanCount} orphans exceed ORPHAN_MAX_COUNT (${ORPHAN_MAX_COUNT})`
   }
-  res.setHeader('Access-Control-Expose-Headers', 'Content-Type, Authorization')
-  
-  if (req.method === 'OPTIONS') {
-    // Preflight request
-    return res.status(200).end()
+  const percent = totalCount > 0 ? (orphanCount / totalCount) * 100 : 100
+  if (orphanCount > 1 && percent > ORPHAN_MAX_PERCENT) {
+    return `${orphanCount} of ${totalCount} items (${Math.round(percent)}%) exceed ORPHAN_MAX_PERCENT (${ORPHAN_MAX_PERCENT}%)`
+  }
+  return null
+}
+
+// Unpublish and archive items; archived items stay in the CMS and can be restored in Webflow
+async function archiveWebflowItems(collectionId, itemIds) {
+  const { succeeded, failed } = await runBulkBatches(itemIds, async (batch) => {
+    try {
+      await unpublishWebflowItems(collectionId, batch)
+    } catch (error) {
+      console.warn(`  ⚠️  Unpublish before archiving failed (items may not be live): ${error.message}`)
+    }
+    await webflowRequest(`/collections/${collectionId}/items`, {
+      method: 'PATCH',
+      body: JSON.stringify({ items: batch.map(id => ({ id, isArchived: true })) })
+    })
+    return batch
+  })
+  failed.forEach(({ entry, error }) => console.warn(`  ⚠️  Failed to archive ${entry}: ${error}`))
+  return succeeded
+}
+
+// Remove orphaned items according to ORPHAN_MODE
+async function removeOrphans(mappingKey, collectionId, orphanedItems) {
+  const verb = { delete: 'Deleting', archive: 'Archiving', quarantine: 'Quarantining' }[ORPHAN_MODE]
+  console.log(`  🗑️  ${verb} ${orphanedItems.length} orphaned items in Webflow...`)
+  orphanedItems.forEach(item => {
+    console.log(`    - ${item.fieldData?.name || 'Unnamed'} (${item.fieldData?.slug || 'no-slug'}) - ${item.id}`)
+  })
+  const orphanedIds = orphanedItems.map(item => item.id)
+
+  if (ORPHAN_MODE === 'delete') {
+    const results = await deleteWebflowItems(collectionId, orphanedIds)
+    results.filter(r => r.status === 'deleted').forEach(r => recordRemoval(mappingKey, r.itemId, 'deleted'))
+    return
+  }
+
+  const archived = new Set(await archiveWebflowItems(collectionId, orphanedIds))
+  archived.forEach(id => recordRemoval(mappingKey, id, 'archived'))
+  if (ORPHAN_MODE === 'quarantine' && archived.size > 0) {
+    // Quarantined orphans by `<collection>:<webflowId>`, only the new entries are written
+    const quarantined = new Map()
+    for (const item of orphanedItems.filter(i => archived.has(i.id))) {
+      quarantined.set(`${mappingKey}:${item.id}`, {
+        collection: mappingKey,
+        webflowId: item.id,
+        name: item.fieldData?.name || null,
+        slug: item.fieldData?.slug || null,
+        quarantinedAt: new Date().toISOString()
+      })
+    }
+    await stateStore.updateQuarantine(quarantined, [])
+    console.log(`  🧪 ${archived.size} items quarantined, run --purge-quarantine to delete them`)
+  }
+}
+
+// Permanently delete quarantined items. Items that were claimed again (mapped to a Sanity
+// document) or un-archived in Webflow since are released from quarantine instead
+async function purgeQuarantine(options = {}) {
+  const { only = null, trigger } = options
+  return withSyncLock('purge-quarantine', trigger, () =>
+    recordSyncRun('purge-quarantine', trigger, { only }, () => purgeQuarantinedItems(options)))
+}
+
+async function purgeQuarantinedItems(options = {}) {
+  const { only = null } = options
+  WEBFLOW_COLLECTIONS = await resolveWebflowCollections()
+  await loadIdMappings()
+  loadPersistentMappings()
+
+  const quarantine = await stateStore.loadQuarantine()
+  const result = { purged: [], released: [], failed: [] }
+  const removed = []
+  const release = (key) => {
+    quarantine.delete(key)
+    removed.push(key)
+  }
+
+  for (const [key, entry] of quarantine) {
+    if (only && entry.collection !== only) continue
+    const collectionId = WEBFLOW_COLLECTIONS[entry.collection]
+    const claimed = [...(idMappings[entry.collection]?.values() || [])].includes(entry.webflowId)
+
+    let webflowItem = null
+    try {
+      webflowItem = collectionId ? await webflowRequest(`/collections/${collectionId}/items/${entry.webflowId}`) : null
+    } catch (error) {
+      if (!(error instanceof WebflowNotFoundError)) {
+        result.failed.push({ ...entry, error: error.message })
+        continue
+      }
+    }
+
+    if (!webflowItem) {
+      release(key) // Already gone
+      continue
+    }
+    if (claimed || !webflowItem.isArchived) {
+      console.log(`  ↩️  Releasing ${entry.collection}/${entry.webflowId} (${entry.name || 'Unnamed'}) from quarantine`)
+      release(key)
+      result.released.push(entry)
+      continue
+    }
+
+    const [deleted] = await deleteWebflowItems(collectionId, [entry.webflowId])
+    if (deleted?.status === 'deleted') {
+      release(key)
+      recordRemoval(entry.collection, entry.webflowId, 'deleted')
+      result.purged.push(entry)
+    } else {
+      result.failed.push({ ...entry, error: deleted?.error || 'delete failed' })
+    }
+  }
+
+  await stateStore.updateQuarantine(new Map(), removed)
+  console.log(`🧹 Quarantine purge: ${result.purged.length} deleted, ${result.released.length} released, ${result.failed.length} failed, ${quarantine.size} remaining`)
+  return { ...result, remaining: quarantine.size }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SINGLE ITEM DELETE (Sanity delete / unpublish → Webflow)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// What happens to the Webflow item: 'delete' removes it, 'archive' keeps it archived,
+// 'unpublish' only takes it off the live site (kept as staged content)
+const DELETE_MODES = ['delete', 'archive', 'unpublish']
+const SINGLE_ITEM_DELETE_MODE = DELETE_MODES.includes(process.env.WEBFLOW_DELETE_MODE)
+  ? process.env.WEBFLOW_DELETE_MODE
+  : 'delete'
+
+// Reference fields on other collections that point back at an item of this type
+const REVERSE_LINKAGES = {
+  artwork: [{ collection: 'creator', field: 'works', via: 'creator' }]
+}
+
+// Unpublish items from the live site in all locales
+async function unpublishWebflowItems(collectionId, itemIds) {
+  await webflowRequest(`/collections/${collectionId}/items/live`, {
+    method: 'DELETE',
+    body: JSON.stringify({
+      items: itemIds.map(id => ({
+        id,
+        cmsLocaleIds: allLocaleIds()
+      }))
+    })
+  })
+}
+
+// Remove a Webflow item from the reference fields that link back to it (e.g. creator works)
+async function removeReverseLinkages(documentType, webflowItem) {
+  const linkages = REVERSE_LINKAGES[documentType] || []
+  for (const { collection, field, via } of linkages) {
+    const parentId = webflowItem?.fieldData?.[via]
+    const parentCollectionId = WEBFLOW_COLLECTIONS[collection]
+    if (!parentId || !parentCollectionId) continue
+
+    try {
+      const parent = await webflowRequest(`/collections/${parentCollectionId}/items/${parentId}`)
+      const current = parent?.fieldData?.[field] || []
+      if (!current.includes(webflowItem.id)) continue
+
+      await webflowRequest(`/collections/${parentCollectionId}/items/${parentId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({
+          fieldData: { [field]: current.filter(id => id !== webflowItem.id) }
+        })
+      })
+      if (FLAG_PUBLISH) {
+        const { failed } = await publishWebflowItems(parentCollectionId, [parentId])
+        if (failed.length > 0) throw new Error(`publish failed: ${failed[0].error}`)
+      }
+      console.log(`  🔗 Removed ${webflowItem.id} from ${collection}/${parentId} ${field}`)
+    } catch (error) {
+      console.warn(`  ⚠️  Failed to update ${collection} ${field} for ${parentId}: ${error.message}`)
+    }
+  }
+}
+
+// Collect Sanity asset IDs referenced anywhere in a document snapshot
+function collectAssetIds(obj, ids = new Set()) {
+  if (!obj || typeof obj !== 'object') return ids
+  if (Array.isArray(obj)) {
+    obj.forEach(value => collectAssetIds(value, ids))
+    return ids
+  }
+  const assetId = obj.asset?._ref || obj.asset?._id
+  if (assetId) ids.add(assetId)
+  Object.values(obj).forEach(value => collectAssetIds(value, ids))
+  return ids
+}
+
+// Drop asset mappings for assets no other Sanity document references anymore
+async function cleanAssetMappingsForDocument(documentSnapshot) {
+  const assetIds = [...collectAssetIds(documentSnapshot)].filter(id => assetMappings.has(id))
+  let removed = 0
+  for (const assetId of assetIds) {
+    const stillReferenced = await sanityClient.fetch(`count(*[references($assetId)])`, { assetId })
+    if (stillReferenced === 0) {
+      assetMappings.delete(assetId)
+      removed++
+    }
+  }
+  if (removed > 0) {
+    console.log(`  📁 Removed ${removed} unreferenced asset mappings`)
+  }
+  return removed
+}
+
+// Queued like syncSingleItem when another run holds the sync lock
+async function deleteSingleItem(documentId, documentType, options = {}) {
+  const { mode = SINGLE_ITEM_DELETE_MODE, document = null, trigger } = options
+  if (!DELETE_MODES.includes(mode)) {
+    throw new Error(`Unsupported delete mode: ${mode} (expected ${DELETE_MODES.join(', ')})`)
+  }
+  return runOrQueueSingleItem({ operation: 'delete', documentId, documentType, mode, document, trigger: trigger || DEFAULT_TRIGGER })
+}
+
+async function removeOneDocument(documentId, documentType, options = {}) {
+  const { mode = SINGLE_ITEM_DELETE_MODE, document = null } = options
+  if (!DELETE_MODES.includes(mode)) {
+    throw new Error(`Unsupported delete mode: ${mode}`)
+  }
+
+  const baseId = documentId.replace('drafts.', '')
+
+  // A discarded draft only takes down the item it staged. Publishing also deletes the draft,
+  // and from then on the item belongs to the published document
+  if (documentId.startsWith('drafts.')) {
+    const published = await sanityClient.fetch('*[_id == $id][0]._id', { id: baseId })
+    if (published) {
+      console.log(`  ⚪ ${documentType}:${baseId} is published, keeping its Webflow item`)
+      return { documentId: baseId, documentType, webflowId: null, action: 'none' }
+    }
+  }
+  console.log(`\n🗑️  Removing single item from Webflow: ${documentType}/${baseId} (mode: ${mode})`)
+
+  // Initialize
+  WEBFLOW_COLLECTIONS = await resolveWebflowCollections()
+  await resolveWebflowLocales()
+  await loadIdMappings()
+  loadPersistentMappings()
+  await loadAssetMappings()
+
+  if (!idMappings[documentType]) {
+    throw new Error(`Unsupported document type: ${documentType}`)
+  }
+
+  const collectionId = WEBFLOW_COLLECTIONS[documentType]
+  const webflowId = idMappings[documentType].get(baseId)
+  if (!webflowId || !collectionId) {
+    console.log(`  ⚪ No Webflow item mapped for ${documentType}:${baseId}, nothing to remove`)
+    return { documentId: baseId, documentType, webflowId: null, action: 'none' }
+  }
+
+  // Read the item first so reverse linkages can still be resolved after removal
+  let webflowItem = null
+  try {
+    webflowItem = await webflowRequest(`/collections/${collectionId}/items/${webflowId}`)
+  } catch (error) {
+    if (!(error instanceof WebflowNotFoundError)) throw error
+    console.log(`  ❌ Webflow item ${webflowId} already gone, clearing mapping`)
+  }
+
+  if (webflowItem) {
+    if (mode === 'delete') {
+      const [result] = await deleteWebflowItems(collectionId, [webflowId])
+      if (result?.status === 'error') {
+        throw new Error(`Failed to delete ${webflowId}: ${result.error}`)
+      }
+    } else {
+      await unpublishWebflowItems(collectionId, [webflowId])
+      if (mode === 'archive') {
+        await webflowRequest(`/collections/${collectionId}/items`, {
+          method: 'PATCH',
+          body: JSON.stringify({ items: [{ id: webflowId, isArchived: true }] })
+        })
+      }
+    }
+    console.log(`  ✅ ${mode === 'delete' ? 'Deleted' : mode === 'archive' ? 'Archived' : 'Unpublished'} ${webflowId}`)
+    recordRemoval(documentType, webflowId, { delete: 'deleted', archive: 'archived', unpublish: 'unpublished' }[mode], baseId)
+    await removeReverseLinkages(documentType, webflowItem)
+  }
+
+  // Deleted (or vanished) items lose their mapping; archived/unpublished items keep it
+  // so a later re-publish in Sanity revives the same Webflow item
+  if (mode === 'delete' || !webflowItem) {
+    idMappings[documentType].delete(baseId)
+  }
+  if (mode === 'archive' && webflowItem) persistentHashes.set(`${documentType}:${baseId}`, ARCHIVED_HASH)
+  else persistentHashes.delete(`${documentType}:${baseId}`)
+  persistentWebflowHashes.delete(`${documentType}:${baseId}`)
+
+  if (document) {
+    await cleanAssetMappingsForDocument(document)
+  }
+
+  await saveIdMappings()
+  await saveAssetMappings()
+
+  return {
+    documentId: baseId,
+    documentType,
+    webflowId,
+    action: webflowItem ? mode : 'mapping-cleared'
   }
+}
+
+// Token scope a request needs (see lib/auth.js). Anything that can remove Webflow items is
+// `admin`: full syncs (also the GET stream) and jobs remove orphans, purges and deletes remove
+// items. Plans and single-item syncs are `sync`
+function requiredScope(req) {
+  if (req.method !== 'POST') return 'admin'
+  const { syncType, operation } = req.body || {}
+  if (syncType === 'plan') return 'sync'
+  if (syncType === 'single-item') return operation === 'delete' ? 'admin' : 'sync'
+  return 'admin'
+}
+
+// Main API handler
+module.exports = async function handler(req, res) {
+  if (handleCors(req, res)) return
+  if (!(await authorize(req, res, requiredScope(req)))) return
   
   // Support GET for streaming (no preflight CORS issues)
   if (req.method === 'GET' && (req.query?.stream === '1' || req.query?.stream === 'true')) {
@@ -2833,10 +3755,11 @@ module.exports = async function handler(req, res) {
       sendEvent({ 
         complete: true, 
         duration: result.duration, 
-        totalItems: result.totalSynced 
+        totalItems: result.totalSynced,
+        skipped: result.skipped
       })
     } catch (error) {
-      sendEvent({ type: 'error', error: error.message })
+      sendEvent({ type: 'error', error: error.message, ...(error instanceof SyncLockedError ? { lockedBy: error.holder } : {}) })
     } finally {
       res.end()
     }
@@ -2857,14 +3780,57 @@ module.exports = async function handler(req, res) {
     }
     
     // Check for single-item sync
-    const { syncType, documentId, documentType, autoPublish, streaming, limit, limitPerCollection } = req.body || {}
+    const { syncType, documentId, documentType, autoPublish, streaming, limit, limitPerCollection, operation, deleteMode } = req.body || {}
+    
+    if (syncType === 'plan') {
+      // Dry run: report what a full sync would create, update and delete
+      console.log('🔔 Sync plan requested via API')
+      const result = await performCompleteSync(null, { plan: true, only: req.body.only || null, limitPerCollection: Number.isFinite(Number(limitPerCollection)) ? Number(limitPerCollection) : null })
+      return res.status(200).json(result)
+    }
+    
+    if (syncType === 'job') {
+      // Resumable sync: each call continues the checkpointed job; call again until `done`
+      console.log('🔔 Sync job step triggered via API')
+      const result = await runSyncJob(null, {
+        restart: req.body.restart === true,
+        only: req.body.only || null,
+        chunkSize: Number(req.body.chunkSize) || SYNC_JOB_CHUNK_SIZE,
+        limitPerCollection: Number.isFinite(Number(limitPerCollection)) ? Number(limitPerCollection) : null
+      })
+      return res.status(result.done ? 200 : 202).json({
+        success: true,
+        message: result.done ? 'Sync job completed' : 'Sync job checkpointed, call again to continue',
+        ...result
+      })
+    }
+    
+    if (syncType === 'purge-quarantine') {
+      // Confirm the removal of orphans quarantined by earlier runs (ORPHAN_MODE=quarantine)
+      console.log('🔔 Quarantine purge requested via API')
+      const result = await purgeQuarantine({ only: req.body.only || null })
+      return res.status(200).json({ success: true, ...result })
+    }
+    
+    if (syncType === 'single-item' && operation === 'delete' && documentId && documentType) {
+      if (deleteMode && !DELETE_MODES.includes(deleteMode)) {
+        return res.status(400).json({ error: `Unsupported deleteMode "${deleteMode}"`, allowed: DELETE_MODES })
+      }
+      console.log(`🔔 Single item delete: ${documentType}/${documentId}`)
+      const result = await deleteSingleItem(documentId, documentType, { mode: deleteMode || SINGLE_ITEM_DELETE_MODE })
+      return res.status(result.queued ? 202 : 200).json({
+        success: true,
+        message: result.queued ? 'Another sync is running, the delete was queued' : `Successfully removed ${documentType} from Webflow`,
+        ...result
+      })
+    }
     
     if (syncType === 'single-item' && documentId && documentType) {
       console.log(`🔔 Single item sync: ${documentType}/${documentId}`)
       const result = await syncSingleItem(documentId, documentType, autoPublish !== false)
-      return res.status(200).json({
+      return res.status(result.queued ? 202 : 200).json({
         success: true,
-        message: `Successfully synced ${documentType}`,
+        message: result.queued ? 'Another sync is running, the sync was queued' : `Successfully synced ${documentType}`,
         ...result
       })
     }
@@ -2889,11 +3855,12 @@ module.exports = async function handler(req, res) {
         res.write(`data: ${JSON.stringify({ 
           complete: true, 
           duration: result.duration, 
-          totalItems: result.totalSynced 
+          totalItems: result.totalSynced,
+          skipped: result.skipped
         })}\n\n`)
         res.end()
       } catch (error) {
-        res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`)
+        res.write(`data: ${JSON.stringify({ type: 'error', error: error.message, ...(error instanceof SyncLockedError ? { lockedBy: error.holder } : {}) })}\n\n`)
         res.end()
       }
     } else {
@@ -2909,6 +3876,14 @@ module.exports = async function handler(req, res) {
     
   } catch (error) {
     console.error('API Error:', error.message)
+    if (error instanceof SyncLockedError) {
+      return res.status(409).json({
+        error: 'Sync already running',
+        message: error.message,
+        lockedBy: error.holder,
+        timestamp: new Date().toISOString()
+      })
+    }
     res.status(500).json({
       error: 'Sync failed',
       message: error.message,
@@ -2917,16 +3892,82 @@ module.exports = async function handler(req, res) {
   }
 } 
 
+// Shared with the other API routes (e.g. the Sanity webhook)
+module.exports.syncSingleItem = syncSingleItem
+module.exports.deleteSingleItem = deleteSingleItem
+module.exports.runSyncJob = runSyncJob
+module.exports.SYNCABLE_TYPES = Object.keys(COLLECTIONS_BY_KEY)
+module.exports.publishScheduledItems = publishScheduledItems
+module.exports.listSyncRuns = listSyncRuns
+module.exports.getSyncRun = getSyncRun
+module.exports.getSyncStatus = getSyncStatus
+module.exports.detectDrift = detectDrift
+module.exports.resolveDrift = resolveDrift
+module.exports.SYNC_DRAFTS = FLAG_SYNC_DRAFTS
+
+// Bulk request internals, for test/bulk-sync.test.js
+module.exports.runBulkBatches = runBulkBatches
+module.exports.createWebflowItems = createWebflowItems
+
+// Rate limiter internals, for test/rate-limiter.test.js
+module.exports.webflowRequest = webflowRequest
+module.exports.rateLimiter = rateLimiter
+
 // Allow running directly from command line
 if (require.main === module) {
   console.log('🚀 Running sync directly...')
   
-  // Check for single item sync: node sync-article-test.js <documentId> <documentType> [--force]
-  const documentId = process.argv[2]
-  const documentType = process.argv[3]
+  // Check for single item sync: node sync-article-test.js <documentId> <documentType> [--force] [--delete[=archive|unpublish]]
+  // (positional arguments are the ones that are not --flags, wherever the flags are)
+  const [documentId, documentType] = ARGS.filter(arg => !arg.startsWith('--'))
   const forceUpdate = process.argv.includes('--force')
+  const deleteArg = ARGS.find(a => a === '--delete' || a.startsWith('--delete='))
   
-  if (documentId && documentType) {
+  const driftArg = ARGS.find(a => a === '--drift' || a.startsWith('--drift='))
+  
+  if (driftArg && documentId && documentType) {
+    // node api/sync-to-webflow.js <documentId> <documentType> --drift=overwrite|accept [--drift-hash=<hash>]
+    resolveDrift({ action: getArg('drift'), collection: documentType, sanityId: documentId, driftHash: getArg('drift-hash') }).then((result) => {
+      console.log('✅ Drift resolved!', result)
+      process.exit(0)
+    }).catch((error) => {
+      console.error('❌ Drift resolution failed:', error.message)
+      process.exit(1)
+    })
+  } else if (driftArg) {
+    detectDrift({ only: ARG_ONLY }).then((report) => {
+      console.log(JSON.stringify(report, null, 2))
+      process.exit(0)
+    }).catch((error) => {
+      console.error('❌ Drift check failed:', error.message)
+      process.exit(1)
+    })
+  } else if (ARGS.includes('--purge-quarantine')) {
+    purgeQuarantine({ only: ARG_ONLY }).then((result) => {
+      console.log('✅ Quarantine purge completed!', result)
+      process.exit(0)
+    }).catch((error) => {
+      console.error('❌ Quarantine purge failed:', error.message)
+      process.exit(1)
+    })
+  } else if (ARGS.includes('--publish-scheduled')) {
+    publishScheduledItems({ only: ARG_ONLY }).then((result) => {
+      console.log('✅ Scheduled publishing completed!', result)
+      process.exit(0)
+    }).catch((error) => {
+      console.error('❌ Scheduled publishing failed:', error.message)
+      process.exit(1)
+    })
+  } else if (documentId && documentType && deleteArg) {
+    const mode = getArg('delete') || SINGLE_ITEM_DELETE_MODE
+    deleteSingleItem(documentId, documentType, { mode }).then((result) => {
+      console.log('✅ Single item delete completed!', result)
+      process.exit(0)
+    }).catch((error) => {
+      console.error('❌ Single item delete failed:', error.message)
+      process.exit(1)
+    })
+  } else if (documentId && documentType) {
     console.log(`\n🎯 Single item mode: syncing ${documentType}/${documentId}`)
     if (forceUpdate) {
       console.log('⚠️  FORCE MODE: Bypassing hash check')
@@ -2952,6 +3993,16 @@ if (require.main === module) {
       WEBFLOW_COLLECTIONS = await resolveWebflowCollections()
       await resolveWebflowLocales()
       
+      if (ARGS.includes('--job')) {
+        // Resumable job: keep stepping until every collection is done
+        let result = await runSyncJob(null, { restart: ARGS.includes('--restart'), only: ARG_ONLY, limitPerCollection: limitValue })
+        while (!result.done) {
+          result = await runSyncJob(null, {})
+        }
+        console.log('📊 Sync job result:', result)
+        return
+      }
+
       if (cliCreatorsForArtworks) {
         await loadIdMappings();
         loadPersistentMappings();
@@ -2961,9 +4012,14 @@ if (require.main === module) {
         return
       }
 
-      await performCompleteSync((progress) => {
+      const result = await performCompleteSync((progress) => {
         console.log(`[${progress.phase}] ${progress.message}`)
       }, { limitPerCollection: limitValue })
+      
+      if (result.plan) {
+        console.log('\n📝 Sync plan:')
+        console.log(JSON.stringify(result.plan, null, 2))
+      }
     }
 
     run().then(() => {
@@ -2974,53 +4030,4 @@ if (require.main === module) {
       process.exit(1)
     })
   }
-} 
-
-// New isolated test function for debugging image uploads
-async function debugImageUpload() {
-  console.log('🧪 Starting isolated image upload debug...')
-
-  // 1. Load mappings needed for the test
-  await loadAssetMappings()
-  
-  // 2. Fetch one artwork with images from Sanity
-  const testArtwork = await sanityClient.fetch(`
-    *[_type == "artwork" && count(images) > 0][0] {
-      _id,
-      name,
-      images[]{ 
-        asset->{
-          _id,
-          url,
-          originalFilename
-        },
-        alt
-      }
-    }
-  `)
-
-  if (!testArtwork) {
-    console.error('❌ No artworks with images found to test.')
-    return
-  }
-
-  console.log(`🖼️  Testing with artwork: "${testArtwork.name}" (${testArtwork.images.length} images)`)
-
-  // 3. Run only the image sync logic
-  try {
-    const webflowAssetIds = await syncArtworkImages(testArtwork.images)
-    console.log('✅ Debug image sync complete.')
-    console.log('Uploaded Webflow Asset IDs:', webflowAssetIds)
-    
-    // 4. Save any new asset mappings
-    await saveAssetMappings()
-
-  } catch (error) {
-    console.error('❌ Debug image sync failed:', error)
-  }
 }
-
-// To run the debug function: comment out the performCompleteSync call and uncomment this
-// if (require.main === module) {
-//   debugImageUpload().catch(console.error)
-// } 
\ No newline at end of file
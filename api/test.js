@@ -1,8 +1,8 @@
+const { handleCors, authorize } = require("../lib/auth")
+
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*")
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS")
-  
-  if (req.method === "OPTIONS") return res.status(200).end()
+  if (handleCors(req, res)) return
+  if (!(await authorize(req, res, "read"))) return
   
   try {
     return res.status(200).json({
@@ -0,0 +1,184 @@
+// Authentication, authorization and CORS for the routes in api/.
+//
+// Tokens come from SYNC_API_TOKENS, a comma-separated list of `<scope>:<token>`. Scopes build on
+// each other:
+//   read    status, run history, health and diagnostics
+//   sync    everything `read` can do, plus plans, single-item syncs, drift and scheduled publishing
+//   admin   everything `sync` can do, plus anything that can remove Webflow items: full syncs and
+//           jobs (their orphan removal deletes or archives), quarantine purges and deletes
+// CRON_SECRET, which Vercel sends to cron routes, is a `sync` token.
+//
+// A request authenticates with either
+//   Authorization: Bearer <token>
+// or an HMAC signature made with a token, so the token itself never travels:
+//   X-Sync-Signature: t=<unix ms>,n=<nonce>,v1=<hex HMAC-SHA256 of `${t}.${n}.${METHOD}.${path}.${body}`>
+// `path` includes the query string. `body` is '' for GET, and JSON bodies are signed as compact
+// JSON (`JSON.stringify(body)`), because the body may reach the route already parsed. The nonce
+// is a fresh random string per request (up to 128 characters); a signature is accepted once, and
+// only within 5 minutes of `t`. Used nonces are remembered in memory by the instance that saw
+// them, so the 5 minute window still bounds a replay sent to another instance.
+//
+// Browsers are only let in from CORS_ALLOWED_ORIGINS (comma-separated origins). There is no
+// wildcard: requests from other origins get no CORS headers and their preflights are refused.
+
+const crypto = require('crypto')
+
+const SCOPES = ['read', 'sync', 'admin']
+const SIGNATURE_HEADER = 'x-sync-signature'
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000 // Reject replays older than 5 minutes
+const MAX_NONCE_LENGTH = 128
+
+// Nonces of accepted signatures → when they can be forgotten (their timestamp left the window)
+const seenNonces = new Map()
+
+function parseTokens(value = process.env.SYNC_API_TOKENS) {
+  const tokens = []
+  for (const part of String(value || '').split(',')) {
+    if (!part.trim()) continue
+    const [scope, ...rest] = part.trim().split(':')
+    const token = rest.join(':')
+    if (!SCOPES.includes(scope) || !token) {
+      console.warn(`⚠️  Ignoring SYNC_API_TOKENS entry with unknown scope "${scope}"`)
+      continue
+    }
+    tokens.push({ scope, token })
+  }
+  if (process.env.CRON_SECRET) tokens.push({ scope: 'sync', token: process.env.CRON_SECRET })
+  return tokens
+}
+
+function allowedOrigins(value = process.env.CORS_ALLOWED_ORIGINS) {
+  return String(value || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean)
+}
+
+function hasScope(granted, required) {
+  return SCOPES.indexOf(granted) >= SCOPES.indexOf(required)
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a))
+  const y = Buffer.from(String(b))
+  return x.length === y.length && crypto.timingSafeEqual(x, y)
+}
+
+// CORS headers for allow-listed origins. Returns true when the request was a preflight and has
+// been answered, so the handler should stop
+function handleCors(req, res, methods = 'GET, POST, OPTIONS') {
+  const origin = req.headers?.origin
+  const allowed = !!origin && allowedOrigins().includes(origin)
+  res.setHeader('Vary', 'Origin')
+  if (allowed) {
+    res.setHeader('Access-Control-Allow-Origin', origin)
+    res.setHeader('Access-Control-Allow-Methods', methods)
+    res.setHeader('Access-Control-Allow-Headers', `Content-Type, Authorization, ${SIGNATURE_HEADER}`)
+    res.setHeader('Access-Control-Max-Age', '600')
+  }
+  if (req.method !== 'OPTIONS') return false
+  res.status(allowed ? 204 : 403).end()
+  return true
+}
+
+// Request body as signed. A parsed body is signed as compact JSON; when the stream has to be read
+// here, the parsed body is put back on `req.body` for the handler
+async function readRawBody(req) {
+  if (typeof req.body === 'string') return req.body
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8')
+  if (req.body && typeof req.body === 'object') return JSON.stringify(req.body)
+  if (typeof req[Symbol.asyncIterator] !== 'function') return ''
+
+  const chunks = []
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk)
+  }
+  const raw = Buffer.concat(chunks).toString('utf8')
+  let body = raw
+  try {
+    body = raw ? JSON.parse(raw) : undefined
+  } catch (error) {
+    // Not JSON: the handler gets the text
+  }
+  Object.defineProperty(req, 'body', { value: body, writable: true, configurable: true, enumerable: true })
+  return raw
+}
+
+function parseSignatureHeader(header) {
+  const parts = {}
+  for (const part of String(header || '').split(',')) {
+    const [key, ...rest] = part.trim().split('=')
+    if (key && rest.length > 0) parts[key] = rest.join('=')
+  }
+  const timestamp = Number(parts.t)
+  if (!Number.isFinite(timestamp) || !parts.v1 || !parts.n || parts.n.length > MAX_NONCE_LENGTH) return null
+  return { timestamp, nonce: parts.n, signature: parts.v1 }
+}
+
+function signRequest(token, { timestamp, nonce, method, path, body = '' }) {
+  return crypto.createHmac('sha256', token).update(`${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${body}`).digest('hex')
+}
+
+// Remember the nonce of a valid signature. False when it was already used
+function claimNonce(nonce, timestamp, now = Date.now()) {
+  for (const [seen, expiresAt] of seenNonces) {
+    if (expiresAt <= now) seenNonces.delete(seen)
+  }
+  if (seenNonces.has(nonce)) return false
+  seenNonces.set(nonce, timestamp + MAX_SIGNATURE_AGE_MS)
+  return true
+}
+
+// Token entry matching the request, null when none does
+async function authenticate(req, tokens) {
+  const header = String(req.headers?.authorization || '')
+  if (header.startsWith('Bearer ')) {
+    const presented = header.slice('Bearer '.length).trim()
+    return tokens.find(entry => safeEqual(entry.token, presented)) || null
+  }
+
+  const parsed = parseSignatureHeader(req.headers?.[SIGNATURE_HEADER])
+  if (!parsed) return null
+  if (Math.abs(Date.now() - parsed.timestamp) > MAX_SIGNATURE_AGE_MS) {
+    console.warn('⚠️  Request signature timestamp outside allowed window')
+    return null
+  }
+  const body = req.method === 'GET' || req.method === 'HEAD' ? '' : await readRawBody(req)
+  const request = { timestamp: parsed.timestamp, nonce: parsed.nonce, method: req.method, path: req.url || '', body }
+  const entry = tokens.find(entry => safeEqual(signRequest(entry.token, request), parsed.signature))
+  if (!entry) return null
+  // Only valid signatures claim a nonce, so forged requests cannot use up someone else's
+  if (!claimNonce(parsed.nonce, parsed.timestamp)) {
+    console.warn('⚠️  Request signature was already used')
+    return null
+  }
+  return entry
+}
+
+// Check that the request carries a token with `scope`. Sends 401/403/500 and returns false
+// otherwise; on success the scope is available as `req.auth`
+async function authorize(req, res, scope) {
+  const tokens = parseTokens()
+  if (tokens.length === 0) {
+    console.error('❌ SYNC_API_TOKENS is not configured')
+    res.status(500).json({ error: 'API tokens not configured' })
+    return false
+  }
+
+  const entry = await authenticate(req, tokens)
+  if (!entry) {
+    res.setHeader('WWW-Authenticate', 'Bearer')
+    res.status(401).json({ error: 'Unauthorized' })
+    return false
+  }
+  if (!hasScope(entry.scope, scope)) {
+    res.status(403).json({ error: `Token scope "${entry.scope}" does not allow this request (needs "${scope}")` })
+    return false
+  }
+  req.auth = { scope: entry.scope }
+  return true
+}
+
+module.exports = {
+  SCOPES,
+  handleCors,
+  authorize,
+  signRequest
+}
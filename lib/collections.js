@@ -0,0 +1,289 @@
+// Collection registry: everything the generic sync engine needs to know about a Sanity type.
+// Sanity queries and Webflow fieldData are both generated from the field specs below, so adding
+// a content type is a new entry here rather than a new sync function.
+//
+// Entry:
+//   key         idMappings / WEBFLOW_COLLECTIONS key (the Sanity document type)
+//   name        display name used in logs and progress events (matches the Webflow collection)
+//   phase       sync phase; references must point at collections from an earlier phase
+//   order       GROQ ordering
+//   fields      Webflow field slug -> field spec
+//
+// Field spec (`from` is the Sanity field):
+//   string      plain value, `default` when empty
+//   number      numeric value (`integer` parses with parseInt)
+//   localized   i18n object read per locale; `fallback` to the primary language, `format` is
+//               text (default), plainText / richText / captions (portable text) or list
+//   slug        slug.current, else generated from the first non-empty `from` field
+//   option      Webflow option matched by name against the live schema (normalized, so
+//               'shop-gallery' matches 'Shop / Gallery'); `options` renames Sanity values whose
+//               option name differs, `default` is used when the value is unset. Unknown values
+//               are errors
+//   reference   single reference to the `collection` entry
+//   references  array of references to the `collection` entry
+//   image       { url, alt }; alt from the image's own alt (then `altFallback` fields) or
+//               from the asset metadata with `altSource: 'asset'`
+//   images      array of images, same alt rules
+//   custom      `value(item, ctx)` with `project` listing the GROQ projections it needs and
+//               `fieldType` the Webflow field type it writes (checked against the schema)
+//
+// `primaryOnly` fields are only sent to the primary locale; every other field is also mapped
+// for each secondary locale.
+//
+// Repeating field groups (`repeat`, optional):
+//   name        Webflow slugs are <name>-<n>-<role>, optionally with a numeric suffix Webflow added
+//   roles       role -> (n => field spec) for group n
+//   count       (item) => number of groups the item uses; more than Webflow exposes is an error
+//   project     GROQ projections `count` needs
+//   fallback    { count, suffixes } used when the live schema could not be loaded
+// One group is mapped per slot found in the live schema, so adding "section-5-*" fields in
+// Webflow is enough to sync a fifth section.
+//
+// Scheduled publishing (`schedule`, optional):
+//   publishAt   Sanity date field; until then the item is synced as a Webflow draft
+//   unpublishAt Sanity date field; from then on the item is taken off the site
+// The publish-scheduled cron flips items when their dates come due.
+//
+// Field ownership (`ownership`, optional): Webflow field slug -> owner
+//   sanity          the default: sent on create and on every update
+//   sanity-initial  sent when the item is created, then left to Webflow editors
+//   webflow         never sent, e.g. SEO overrides or featured flags curated in Webflow. May name
+//                   fields the registry does not map, such as the creator `works` list
+// Only fields the sync updates count towards the item hash and the drift report.
+
+// Split article fullText on image markers: text before "images1" is section 1, text after
+// "imagesN" is section N + 1. Inline images, embeds and pull quotes stay in their section and are
+// rendered by the rich text converter
+function parseFullText(fullTextBlocks) {
+  const sections = []
+  if (!Array.isArray(fullTextBlocks)) return sections
+
+  let currentSection = 0
+  for (const block of fullTextBlocks) {
+    if (block._type === 'imageMarker') {
+      const match = block.reference?.match(/images(\d+)/)
+      const markerNum = match ? parseInt(match[1], 10) : 0
+      if (markerNum >= 1) currentSection = markerNum
+      continue
+    }
+    (sections[currentSection] = sections[currentSection] || []).push(block)
+  }
+  return Array.from(sections, s => s && s.length > 0 ? s : null)
+}
+
+// Sections an article uses in any language: one per image marker, plus one for text after the last
+function articleSectionCount(item) {
+  const languages = item.fullText && !Array.isArray(item.fullText) ? Object.values(item.fullText) : [item.fullText]
+  let count = 0
+  for (const blocks of languages.filter(Array.isArray)) {
+    const markers = blocks
+      .filter(block => block._type === 'imageMarker')
+      .map(block => parseInt(block.reference?.match(/images(\d+)/)?.[1] || 0, 10))
+    count = Math.max(count, parseFullText(blocks).length, ...markers)
+  }
+  return count
+}
+
+function articleCreatorName(item) {
+  return item.creatorName || item.featuredCreator?.name || ''
+}
+
+// Every article section has the same shape: images, layout, body text and captions
+const articleSectionRoles = {
+  images: n => ({ type: 'images', from: `section${n}Images`, altSource: 'asset' }),
+  layout: n => ({ type: 'option', from: `section${n}Layout`, default: 'Main', primaryOnly: true }),
+  text: n => ({
+    type: 'custom',
+    fieldType: 'RichText',
+    project: ['fullText'],
+    value: (item, { locale, localized, richText }) => richText(parseFullText(localized(item.fullText, locale, { fallback: false }))[n - 1])
+  }),
+  captions: n => ({ type: 'localized', from: `section${n}Captions`, format: 'captions' })
+}
+
+const nameAndSlug = {
+  name: { type: 'localized', from: 'name', fallback: true, default: 'Untitled' },
+  slug: { type: 'slug', from: 'name' }
+}
+
+const COLLECTIONS = [
+  // Phase 1: foundation data (no dependencies)
+  {
+    key: 'materialType',
+    name: 'Material Types',
+    phase: 1,
+    order: 'sortOrder asc, name.en asc',
+    fields: {
+      'sort-order': { type: 'number', from: 'sortOrder', default: 0 },
+      ...nameAndSlug
+    }
+  },
+  {
+    key: 'finish',
+    name: 'Finishes',
+    phase: 1,
+    order: 'name.en asc',
+    fields: { ...nameAndSlug }
+  },
+  {
+    key: 'category',
+    name: 'Mediums',
+    phase: 1,
+    order: 'title.en asc',
+    fields: {
+      name: { type: 'localized', from: 'title', fallback: true, default: 'Untitled' },
+      slug: { type: 'slug', from: 'title' },
+      description: { type: 'localized', from: 'description' }
+    }
+  },
+  {
+    key: 'location',
+    name: 'Locations',
+    phase: 1,
+    order: 'name.en asc',
+    fields: {
+      ...nameAndSlug,
+      'location-type': { type: 'option', from: 'type', default: 'shop-gallery' },
+      website: { type: 'string', from: 'website', default: '' },
+      email: { type: 'string', from: 'email', default: '' }
+    }
+  },
+  {
+    key: 'author',
+    name: 'Authors',
+    phase: 1,
+    order: 'name.en asc',
+    fields: {
+      ...nameAndSlug,
+      bio: { type: 'localized', from: 'bio', format: 'richText' }
+    }
+  },
+  {
+    key: 'photographer',
+    name: 'Photographers',
+    phase: 1,
+    order: 'name.en asc',
+    fields: {
+      ...nameAndSlug,
+      bio: { type: 'localized', from: 'bio', format: 'richText' }
+    }
+  },
+
+  // Phase 2: reference data (depends on phase 1)
+  {
+    key: 'material',
+    name: 'Materials',
+    phase: 2,
+    order: 'name.en asc',
+    fields: {
+      ...nameAndSlug,
+      'material-type': { type: 'reference', from: 'materialType', collection: 'materialType' },
+      description: { type: 'localized', from: 'description' }
+    }
+  },
+  {
+    key: 'medium',
+    name: 'Types',
+    phase: 2,
+    order: 'name.en asc',
+    fields: { ...nameAndSlug }
+  },
+  {
+    key: 'creator',
+    name: 'Creators',
+    phase: 2,
+    order: 'name asc',
+    fields: {
+      name: { type: 'string', from: 'name', default: 'Untitled' },
+      'last-name': { type: 'string', from: 'lastName', default: '' },
+      slug: { type: 'slug', from: 'name' },
+      'hero-image': { type: 'image', from: 'cover', altFallback: ['name'] },
+      'profile-image': { type: 'image', from: 'image', altFallback: ['name'] },
+      'studio-image': { type: 'image', from: 'studioImage', altFallback: ['name'] },
+      'portrait-image': { type: 'image', from: 'portraitImage', altFallback: ['name'] },
+      website: { type: 'string', from: 'website', default: '' },
+      email: { type: 'string', from: 'email', default: '' },
+      'birth-year': { type: 'number', from: 'birthYear', integer: true, default: null },
+      category: { type: 'reference', from: 'category', collection: 'category' },
+      locations: { type: 'references', from: 'associatedLocations', collection: 'location' },
+      biography: { type: 'localized', from: 'biography', format: 'plainText' },
+      'portrait-english': { type: 'localized', from: 'portrait', format: 'plainText' }, // Webflow slug, the field holds the portrait in every locale
+      nationality: { type: 'localized', from: 'nationality' },
+      specialties: { type: 'localized', from: 'specialties', format: 'list' }
+    }
+  },
+
+  // Phase 3: complex data (multiple dependencies)
+  {
+    key: 'artwork',
+    name: 'Artworks',
+    phase: 3,
+    order: 'name asc',
+    fields: {
+      name: { type: 'string', from: 'name', default: 'Untitled' },
+      slug: { type: 'slug', from: ['name', 'workTitle'] },
+      'work-title': { type: 'localized', from: 'workTitle', fallback: true, default: '' },
+      description: { type: 'localized', from: 'description' },
+      creator: { type: 'reference', from: 'creator', collection: 'creator' },
+      materials: { type: 'references', from: 'materials', collection: 'material' },
+      medium: { type: 'references', from: 'medium', collection: 'medium' },
+      finishes: { type: 'references', from: 'finishes', collection: 'finish' },
+      'size-dimensions': { type: 'custom', fieldType: 'PlainText', project: ['size'], value: (item, { cleanSize }) => cleanSize(item.size || '') },
+      year: { type: 'string', from: 'year', default: '' },
+      price: { type: 'string', from: 'price', default: '' },
+      'main-image': { type: 'image', from: 'mainImage', altFallback: ['name', 'workTitle'], defaultAlt: 'Main image' },
+      'artwork-images': {
+        type: 'custom',
+        fieldType: 'MultiImage',
+        project: ['images[]{ asset->{_id, url, originalFilename, _updatedAt}, alt }'],
+        value: (item, { locale, localized }) => (item.images || []).map(image => {
+          if (!image.asset?.url) return null
+          return {
+            url: image.asset.url,
+            alt: localized(image.alt, locale) || item.name || localized(item.workTitle, locale) || 'Artwork image'
+          }
+        }).filter(Boolean)
+      }
+    }
+  },
+  {
+    key: 'article',
+    name: 'Articles',
+    phase: 3,
+    order: 'date desc',
+    fields: {
+      name: { type: 'localized', from: 'title', fallback: true, default: 'Untitled' },
+      slug: {
+        type: 'custom',
+        fieldType: 'PlainText',
+        primaryOnly: true,
+        project: ['slug', 'title', 'creatorName', 'featuredCreator->{_id, name}'],
+        value: (item, { localized, generateSlug }) => item.slug?.current ||
+          generateSlug(`${articleCreatorName(item)} ${localized(item.title) || 'Untitled'}`)
+      },
+      date: { type: 'string', from: 'date', default: null, primaryOnly: true },
+      issue: { type: 'string', from: 'issue', default: '' },
+      'creator-name': { type: 'custom', fieldType: 'PlainText', project: ['creatorName', 'featuredCreator->{_id, name}'], value: articleCreatorName },
+      'featured-creator': { type: 'reference', from: 'featuredCreator', collection: 'creator', primaryOnly: true },
+      materials: { type: 'references', from: 'materials', collection: 'material', primaryOnly: true },
+      'medium-2': { type: 'references', from: 'medium', collection: 'medium', primaryOnly: true },
+      finishes: { type: 'references', from: 'finishes', collection: 'finish', primaryOnly: true },
+      'author-s': { type: 'references', from: 'authors', collection: 'author', primaryOnly: true },
+      'photographer-s': { type: 'references', from: 'photographers', collection: 'photographer', primaryOnly: true },
+      'hero-headline': { type: 'localized', from: 'title', fallback: true, default: 'Untitled' }, // Just the title, no creator name
+      'hero-image-2': { type: 'image', from: 'heroImage', altSource: 'asset' },
+      intro: { type: 'localized', from: 'intro', fallback: true, format: 'richText' },
+      'section-final-image-1': { type: 'image', from: 'sectionFinalImage1', altSource: 'asset' }
+    },
+    repeat: {
+      name: 'section',
+      roles: articleSectionRoles,
+      count: articleSectionCount,
+      project: ['fullText'],
+      fallback: { count: 4, suffixes: { images: '-2', layout: '-3', text: '-2', captions: '-2' } }
+    },
+    schedule: { publishAt: 'publishAt', unpublishAt: 'unpublishAt' } // Not `date`, that is the editorial date
+  }
+]
+
+module.exports = { COLLECTIONS }
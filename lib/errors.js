@@ -0,0 +1,106 @@
+// Typed sync errors. Callers branch on the class (or `kind`) instead of matching on message
+// text, so a missing item is never confused with an outage.
+
+class SyncError extends Error {
+  constructor(message, options) {
+    super(message, options)
+    this.name = new.target.name
+    this.kind = new.target.kind
+  }
+}
+SyncError.kind = 'error'
+
+// Any non-2xx Webflow response. The message keeps the "Webflow API error: <status> <body>" format
+class WebflowApiError extends SyncError {
+  constructor(status, body = '', endpoint = null, options) {
+    super(`Webflow API error: ${status} ${body}`, options)
+    this.status = status
+    this.body = body
+    this.endpoint = endpoint
+  }
+}
+WebflowApiError.kind = 'webflow'
+
+class WebflowAuthError extends WebflowApiError {} // 401, 403: token missing scopes or revoked
+WebflowAuthError.kind = 'auth'
+
+class WebflowNotFoundError extends WebflowApiError {} // 404
+WebflowNotFoundError.kind = 'not-found'
+
+class WebflowRateLimitError extends WebflowApiError {} // 429 after every retry was spent
+WebflowRateLimitError.kind = 'rate-limit'
+
+class WebflowValidationError extends WebflowApiError {} // 400, 409, 422: the payload was rejected
+WebflowValidationError.kind = 'validation'
+
+class WebflowServerError extends WebflowApiError {} // 5xx, or no response at all (status 0)
+WebflowServerError.kind = 'server'
+
+// A Sanity query failed or returned something other than the expected list
+class SanityReadError extends SyncError {}
+SanityReadError.kind = 'sanity'
+
+// The sync state store (mappings, hashes, asset mappings) could not be read. Syncing without it
+// would create every item and upload every asset again
+class StateReadError extends SyncError {}
+StateReadError.kind = 'state'
+
+// Mappings or asset mappings could not be saved. Carrying on would lose the items created since
+// the last save, and the next run would not know them
+class StateWriteError extends SyncError {}
+StateWriteError.kind = 'state'
+
+// The registry does not match the live Webflow collection schema
+class SchemaMismatchError extends SyncError {}
+SchemaMismatchError.kind = 'schema'
+
+// A collection's orphans exceed ORPHAN_MAX_COUNT / ORPHAN_MAX_PERCENT, so none were removed
+class OrphanLimitError extends SyncError {}
+OrphanLimitError.kind = 'orphan-limit'
+
+// Another run holds the sync lock. `holder` describes that run (type, trigger, expiresAt).
+// With `lost: true`, this run's own lease expired or was taken over and the run was stopped
+class SyncLockedError extends SyncError {
+  constructor(holder, options = {}) {
+    super(options.lost
+      ? 'The sync lock was lost (the lease expired or another run took it), the run was stopped'
+      : `A ${holder?.type || 'sync'} run (${holder?.trigger || 'unknown trigger'}) is in progress, the lock expires at ${holder?.expiresAt || 'an unknown time'}`, options)
+    this.holder = holder
+  }
+}
+SyncLockedError.kind = 'locked'
+
+// Error class for a Webflow response status
+function webflowError(status, body, endpoint, options) {
+  const ErrorClass =
+    status === 401 || status === 403 ? WebflowAuthError
+      : status === 404 ? WebflowNotFoundError
+        : status === 429 ? WebflowRateLimitError
+          : status === 0 || status >= 500 ? WebflowServerError
+            : status >= 400 && status < 500 ? WebflowValidationError
+              : WebflowApiError
+  return new ErrorClass(status, body, endpoint, options)
+}
+
+// Short label for summaries and job logs ('auth', 'not-found', 'server', ...)
+function errorKind(error) {
+  return error?.kind || 'error'
+}
+
+module.exports = {
+  SyncError,
+  WebflowApiError,
+  WebflowAuthError,
+  WebflowNotFoundError,
+  WebflowRateLimitError,
+  WebflowValidationError,
+  WebflowServerError,
+  SanityReadError,
+  StateReadError,
+  StateWriteError,
+  SchemaMismatchError,
+  OrphanLimitError,
+  SyncLockedError,
+  webflowError,
+  errorKind
+}
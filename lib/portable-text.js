@@ -0,0 +1,283 @@
+// Portable Text (Sanity block content) → Webflow rich text HTML.
+// Follows the Portable Text spec: consecutive list items are grouped (nested by `level`), marks
+// are nested so adjacent spans share their wrapping elements, annotations are resolved through
+// the block's `markDefs`, and all text and attribute values are escaped.
+
+const STYLE_TAGS = {
+  normal: 'p',
+  h1: 'h1',
+  h2: 'h2',
+  h3: 'h3',
+  h4: 'h4',
+  h5: 'h5',
+  h6: 'h6',
+  blockquote: 'blockquote'
+}
+
+const DECORATOR_TAGS = {
+  strong: 'strong',
+  em: 'em',
+  underline: 'u',
+  'strike-through': 's',
+  code: 'code'
+}
+
+// Decorators in a stable order, used when two marks span the same number of siblings
+const KNOWN_DECORATORS = Object.keys(DECORATOR_TAGS)
+
+const SAFE_URL = /^(https?:|mailto:|tel:|\/|#)/i
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function isSpan(node) {
+  return node?._type === 'span' && typeof node.text === 'string'
+}
+
+// Order a span's marks so the ones continuing over the most following siblings open first
+function sortMarksByOccurrences(span, index, children) {
+  if (!isSpan(span) || !Array.isArray(span.marks) || span.marks.length === 0) return []
+  const occurrences = {}
+  for (const mark of span.marks) {
+    occurrences[mark] = 1
+    for (let i = index + 1; i < children.length; i++) {
+      const sibling = children[i]
+      if (!isSpan(sibling) || !Array.isArray(sibling.marks) || !sibling.marks.includes(mark)) break
+      occurrences[mark]++
+    }
+  }
+  return span.marks.slice().sort((a, b) => {
+    if (occurrences[a] !== occurrences[b]) return occurrences[b] - occurrences[a]
+    const aKnown = KNOWN_DECORATORS.indexOf(a)
+    const bKnown = KNOWN_DECORATORS.indexOf(b)
+    if (aKnown !== bKnown) return aKnown - bKnown
+    return a.localeCompare(b)
+  })
+}
+
+// Turn a block's flat children into a tree of mark nodes
+function buildMarksTree(block) {
+  const children = block.children || []
+  const markDefs = block.markDefs || []
+  const root = { children: [] }
+  let stack = [root]
+
+  children.forEach((child, index) => {
+    const needed = sortMarksByOccurrences(child, index, children)
+
+    // Keep the open marks this span still needs, close everything from the first miss
+    let depth = 1
+    for (; depth < stack.length; depth++) {
+      const position = needed.indexOf(stack[depth].markKey)
+      if (position === -1) break
+      needed.splice(position, 1)
+    }
+    stack = stack.slice(0, depth)
+
+    let current = stack[stack.length - 1]
+    for (const markKey of needed) {
+      const markDef = markDefs.find(def => def._key === markKey) || null
+      const node = { markKey, markDef, markType: markDef ? markDef._type : markKey, children: [] }
+      current.children.push(node)
+      stack.push(node)
+      current = node
+    }
+    current.children.push(child)
+  })
+
+  return root.children
+}
+
+function renderLink(inner, markDef, href) {
+  if (!href || !SAFE_URL.test(href)) return inner
+  const blank = markDef.blank || markDef.openInNewTab || markDef.target === '_blank'
+  const rel = markDef.rel || (blank ? 'noopener noreferrer' : null)
+  return `<a href="${escapeHtml(href)}"${blank ? ' target="_blank"' : ''}${rel ? ` rel="${escapeHtml(rel)}"` : ''}>${inner}</a>`
+}
+
+function renderMark(node, inner, options) {
+  if (!node.markDef) {
+    const tag = DECORATOR_TAGS[node.markKey]
+    return tag ? `<${tag}>${inner}</${tag}>` : inner
+  }
+  const { markDef } = node
+  if (options.annotations?.[markDef._type]) {
+    return options.annotations[markDef._type](inner, markDef)
+  }
+  if (markDef._type === 'link') {
+    return renderLink(inner, markDef, markDef.href)
+  }
+  // Annotations pointing at another document (internal links)
+  if (markDef.reference && options.resolveLink) {
+    return renderLink(inner, markDef, options.resolveLink(markDef))
+  }
+  return inner
+}
+
+function renderNodes(nodes, options) {
+  return nodes.map(node => {
+    if (isSpan(node)) {
+      // Soft line breaks (shift+enter) are newlines inside the span text
+      return node.text.split('\n').map(escapeHtml).join('<br>')
+    }
+    if (node.markKey !== undefined) {
+      return renderMark(node, renderNodes(node.children, options), options)
+    }
+    // Inline object
+    const render = options.types?.[node._type]
+    return render ? render(node, { inline: true }) || '' : ''
+  }).join('')
+}
+
+function renderBlockContent(block, options) {
+  return renderNodes(buildMarksTree(block), options)
+}
+
+// Render a run of consecutive list items, opening a nested list inside the previous item
+// whenever the level increases
+function renderList(items, options) {
+  let html = ''
+  const open = [] // stack of { tag, level }
+
+  const closeTo = (level) => {
+    while (open.length > 0 && open[open.length - 1].level > level) {
+      html += `</li></${open.pop().tag}>`
+    }
+  }
+
+  for (const item of items) {
+    const level = item.level || 1
+    const tag = item.listItem === 'number' ? 'ol' : 'ul'
+    closeTo(level)
+
+    const top = open[open.length - 1]
+    if (top && top.level === level && top.tag !== tag) {
+      // Same level, different list type: end this list and start a new one
+      html += `</li></${open.pop().tag}>`
+    }
+
+    const current = open[open.length - 1]
+    if (current && current.level === level) {
+      html += '</li><li>'
+    } else {
+      // Skipped levels still nest one list per level
+      const from = current ? current.level : 0
+      for (let l = from + 1; l <= level; l++) {
+        html += `<${tag}><li>`
+        open.push({ tag, level: l })
+      }
+    }
+    html += renderBlockContent(item, options)
+  }
+
+  closeTo(0)
+  return html
+}
+
+// Convert an array of Portable Text blocks to HTML. Returns null when nothing renders.
+//
+// Options:
+//   resolveLink(markDef)        href for annotations that reference a document (internal links)
+//   annotations[type]           (innerHtml, markDef) => html for custom annotations
+//   types[type]                 (node, { inline }) => html for custom block and inline objects
+//   blockPrefix(index)          html prepended inside each text block (e.g. caption numbers)
+function portableTextToHtml(blocks, options = {}) {
+  if (!Array.isArray(blocks)) return null
+
+  const html = []
+  let textBlockIndex = 0
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i]
+    if (!block) continue
+
+    if (block._type === 'block' && block.listItem) {
+      const items = []
+      while (i < blocks.length && blocks[i]?._type === 'block' && blocks[i].listItem) {
+        items.push(blocks[i])
+        i++
+      }
+      i--
+      html.push(renderList(items, options))
+      continue
+    }
+
+    if (block._type === 'block') {
+      const tag = STYLE_TAGS[block.style] || 'p'
+      const prefix = options.blockPrefix ? options.blockPrefix(textBlockIndex) : ''
+      textBlockIndex++
+      html.push(`<${tag}>${prefix}${renderBlockContent(block, options)}</${tag}>`)
+      continue
+    }
+
+    const render = options.types?.[block._type]
+    const rendered = render ? render(block, { inline: false }) : null
+    if (rendered) html.push(rendered)
+  }
+
+  return html.length > 0 ? html.join('') : null
+}
+
+// Webflow rich text image element (the markup the Designer produces for an inline image)
+function webflowImageFigure({ src, alt = '', caption = '' }) {
+  if (!src) return null
+  return '<figure class="w-richtext-figure-type-image w-richtext-align-fullwidth" data-rt-type="image" data-rt-align="fullwidth">' +
+    `<div><img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"></div>` +
+    (caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : '') +
+    '</figure>'
+}
+
+// Embed URL for a YouTube or Vimeo link, null for anything else
+function videoEmbedUrl(url) {
+  const youtube = String(url || '').match(/(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/)
+  if (youtube) return `https://www.youtube.com/embed/${youtube[1]}`
+  const vimeo = String(url || '').match(/vimeo\.com\/(?:video\/)?(\d+)/)
+  if (vimeo) return `https://player.vimeo.com/video/${vimeo[1]}`
+  return null
+}
+
+// Webflow rich text video element (16:9 responsive embed)
+function webflowVideoFigure({ url, title = '', caption = '' }) {
+  const src = videoEmbedUrl(url)
+  if (!src) return null
+  return '<figure class="w-richtext-figure-type-video w-richtext-align-fullwidth" style="padding-bottom:56.25%" ' +
+    `data-rt-type="video" data-rt-align="fullwidth" data-rt-max-height="56.25%" data-page-url="${escapeHtml(url)}">` +
+    `<div><iframe allowfullscreen="true" frameborder="0" scrolling="no" src="${escapeHtml(src)}" title="${escapeHtml(title)}"></iframe></div>` +
+    (caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : '') +
+    '</figure>'
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (entity, dec, hex, name) => {
+    if (dec || hex) return String.fromCodePoint(parseInt(dec || hex, dec ? 10 : 16))
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity
+  })
+}
+
+// Rich text reduced to what an editor changes, to compare the HTML Webflow stores with the HTML
+// converted here. Webflow adds attributes and figure markup, re-encodes entities and reflows
+// whitespace, so only tag names, link targets and text are kept
+function normalizeRichTextHtml(html) {
+  if (typeof html !== 'string') return html
+  const tags = html
+    .replace(/<\/?(?:figure|div)\b[^>]*>/gi, '')
+    .replace(/<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi, (tag, close, name, attributes) => {
+      const href = !close && name.toLowerCase() === 'a' && attributes.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)')/i)
+      return `<${close}${name.toLowerCase()}${href ? ` href="${href[1] ?? href[2]}"` : ''}>`
+    })
+  return decodeEntities(tags)
+    .replace(/\u200d/g, '') // Webflow's placeholder in empty paragraphs
+    .replace(/\s+/g, ' ')
+    .replace(/>\s+</g, '><')
+    .replace(/<p><\/p>/g, '')
+    .trim()
+}
+
+module.exports = { portableTextToHtml, escapeHtml, webflowImageFigure, webflowVideoFigure, videoEmbedUrl, normalizeRichTextHtml }
@@ -0,0 +1,595 @@
+// Sync state store: Sanity ID → Webflow ID mappings, item hashes and asset mappings.
+//
+// Store interface:
+//   loadMappings()                     → { idMappings, hashes, webflowHashes }, Maps keyed
+//                                      '<collection>:<sanityId>'
+//   saveMappings({ idMappings, hashes, webflowHashes })
+//   loadAssets()                       → Map of Sanity asset ID → asset mapping
+//   saveAssets(assets)
+//   saveRun(run), getRun(id)           sync run records (one document/file per run)
+//   listRuns({ limit, item })          run summaries, newest first; `item` keeps the runs that
+//                                      changed or removed that Sanity or Webflow ID
+//   saveProgress(progress), loadProgress()   progress of the current run (one small record)
+//   countMappings()                    → { collection: mapped item count }
+//   acquireLock(lock, ttlMs, { from }) → { acquired, holder }; renewLock(lock, ttlMs) → boolean,
+//                                      releaseLock(lock): the lease lock every writing run takes.
+//                                      `from` takes over a lease still held by that holder
+//   enqueue(request), readQueue()      single-item requests waiting for the lock holder, read with
+//                                      their `queueId`; removeFromQueue(queueId) once one has run.
+//                                      queueSize() counts them
+//   loadDriftAcceptances()             → Map of '<collection>:<sanityId>' → accepted Webflow drift
+//   saveDriftAcceptance(key, acceptance)
+//   loadJob(), saveJob(job)            the resumable sync job (one small record)
+//   loadQuarantine()                   → Map of '<collection>:<webflowId>' → quarantined orphan
+//   updateQuarantine(upserts, removals)   writes only the given quarantine entries
+//
+// State is sharded: one shard per collection plus one for assets. A save only writes the entries
+// that changed since the last load or save, so concurrent runs no longer overwrite each other's
+// work and no single document has to hold the whole catalogue.
+//
+// SYNC_STATE_STORE picks the implementation: 'sanity' (default, `webflowSyncSettings` documents)
+// or 'local' (JSON files in SYNC_STATE_DIR, for development and tests).
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const ASSETS_SHARD = 'assets'
+const LOCK_FIELDS = ['holder', 'type', 'trigger', 'acquiredAt', 'renewedAt', 'expiresAt']
+
+// Fields of a run listed by listRuns (the full record adds changes and failures per collection)
+const RUN_SUMMARY_FIELDS = ['id', 'type', 'trigger', 'status', 'startedAt', 'finishedAt', 'totals', 'skipped', 'error']
+
+function runSummary(run) {
+  return Object.fromEntries(RUN_SUMMARY_FIELDS.map(field => [field, run[field] ?? null]))
+}
+
+// Lock fields without the store's revision, for logs and error responses
+function lockInfo(lock) {
+  return lock ? Object.fromEntries(LOCK_FIELDS.map(field => [field, lock[field] ?? null])) : null
+}
+
+function lockHeld(lock, now = Date.now()) {
+  return !!lock?.holder && Date.parse(lock.expiresAt) > now
+}
+
+function runTouches(run, item) {
+  return (run.collections || []).some(c =>
+    (c.changes || []).some(change => change.sanityId === item || change.webflowId === item) ||
+    (c.deletedWebflowIds || []).includes(item))
+}
+
+// Mapping entries per collection shard: sanityId -> { webflowId, hash, webflowHash }. The
+// webflowHash (drift detection's baseline) is only kept next to a hash
+function mappingShards({ idMappings, hashes, webflowHashes = new Map() }) {
+  const shards = new Map()
+  const entry = (key) => {
+    const split = key.indexOf(':')
+    const collection = key.slice(0, split)
+    const sanityId = key.slice(split + 1)
+    if (!shards.has(collection)) shards.set(collection, new Map())
+    const entries = shards.get(collection)
+    if (!entries.has(sanityId)) entries.set(sanityId, { webflowId: null, hash: null })
+    return entries.get(sanityId)
+  }
+  idMappings.forEach((webflowId, key) => { entry(key).webflowId = webflowId })
+  hashes.forEach((hash, key) => { entry(key).hash = hash })
+  webflowHashes.forEach((webflowHash, key) => { if (webflowHash && hashes.has(key)) entry(key).webflowHash = webflowHash })
+  return shards
+}
+
+class StateStore {
+  constructor() {
+    // Last persisted version of every entry: shard -> Map(id -> serialized entry)
+    this.snapshot = new Map()
+    // Kinds ('mappings', 'assets') whose last load failed. Saving them is refused until a load
+    // succeeds: the caller's state is not what is stored, so its diff would be wrong
+    this.failedLoads = new Set()
+  }
+
+  // Read the shards of a kind. A failed read drops that kind's snapshot, so no later save can
+  // compute removals from a snapshot of an earlier run
+  async load(kind) {
+    try {
+      const shards = await this.readShards(kind)
+      this.failedLoads.delete(kind)
+      return shards
+    } catch (error) {
+      this.failedLoads.add(kind)
+      for (const shard of [...this.snapshot.keys()]) {
+        if ((shard === ASSETS_SHARD) === (kind === 'assets')) this.snapshot.delete(shard)
+      }
+      throw error
+    }
+  }
+
+  assertLoaded(kind) {
+    if (this.failedLoads.has(kind)) {
+      throw new Error(`Refusing to save ${kind}: the last load failed`)
+    }
+  }
+
+  // Migrated shards (`shards.migrated`) are not persisted yet, so they start from an empty snapshot
+  remember(shard, entries, persisted = true) {
+    this.snapshot.set(shard, new Map(persisted ? [...entries].map(([id, value]) => [id, JSON.stringify(value)]) : []))
+  }
+
+  async loadMappings() {
+    const shards = await this.load('mappings')
+    for (const shard of [...this.snapshot.keys()]) {
+      if (shard !== ASSETS_SHARD) this.snapshot.delete(shard)
+    }
+    const idMappings = new Map()
+    const hashes = new Map()
+    const webflowHashes = new Map()
+    for (const [collection, entries] of shards) {
+      this.remember(collection, entries, !shards.migrated)
+      for (const [sanityId, { webflowId, hash, webflowHash }] of entries) {
+        if (webflowId) idMappings.set(`${collection}:${sanityId}`, webflowId)
+        if (hash) hashes.set(`${collection}:${sanityId}`, hash)
+        if (webflowHash) webflowHashes.set(`${collection}:${sanityId}`, webflowHash)
+      }
+    }
+    return { idMappings, hashes, webflowHashes }
+  }
+
+  async saveMappings(state) {
+    this.assertLoaded('mappings')
+    const shards = mappingShards(state)
+    // Shards that lost all their entries still need their removals written
+    for (const shard of this.snapshot.keys()) {
+      if (shard !== ASSETS_SHARD && !shards.has(shard)) shards.set(shard, new Map())
+    }
+    let count = 0
+    for (const [collection, entries] of shards) {
+      await this.saveShard(collection, entries)
+      count += entries.size
+    }
+    return count
+  }
+
+  async loadAssets() {
+    const shards = await this.load('assets')
+    const assets = shards.get(ASSETS_SHARD) || new Map()
+    this.remember(ASSETS_SHARD, assets, !shards.migrated)
+    return new Map(assets)
+  }
+
+  async saveAssets(assets) {
+    this.assertLoaded('assets')
+    await this.saveShard(ASSETS_SHARD, assets)
+    return assets.size
+  }
+
+  // Read-only: leaves the snapshot of a run in progress alone
+  async countMappings() {
+    const shards = await this.readShards('mappings')
+    return Object.fromEntries([...shards].map(([collection, entries]) => [
+      collection,
+      [...entries.values()].filter(entry => entry.webflowId).length
+    ]))
+  }
+
+  // The lock record is compared and swapped: `writeLock(fields, current)` fails when the record
+  // changed since `current` was read, so only one of two racing runs gets the lease. `from` hands
+  // over a lease an earlier holder parked (a job between invocations)
+  async acquireLock(lock, ttlMs, { from = null } = {}) {
+    const current = await this.readLock()
+    const mine = current?.holder === lock.holder || (!!from && current?.holder === from)
+    if (lockHeld(current) && !mine) return { acquired: false, holder: lockInfo(current) }
+    const now = Date.now()
+    const fields = { ...lockInfo(lock), renewedAt: new Date(now).toISOString(), expiresAt: new Date(now + ttlMs).toISOString() }
+    if (await this.writeLock(fields, current)) return { acquired: true, holder: lockInfo(fields) }
+    return { acquired: false, holder: lockInfo(await this.readLock()) }
+  }
+
+  async renewLock(lock, ttlMs) {
+    const current = await this.readLock()
+    if (current?.holder !== lock.holder) return false
+    const now = Date.now()
+    return this.writeLock({ renewedAt: new Date(now).toISOString(), expiresAt: new Date(now + ttlMs).toISOString() }, current)
+  }
+
+  async releaseLock(lock) {
+    const current = await this.readLock()
+    if (current?.holder !== lock.holder) return
+    await this.writeLock({ holder: null, type: null, trigger: null, expiresAt: new Date().toISOString() }, current)
+  }
+
+  // Write the entries of one shard that differ from the snapshot
+  async saveShard(shard, entries) {
+    const before = this.snapshot.get(shard) || new Map()
+    const upserts = new Map()
+    for (const [id, value] of entries) {
+      if (before.get(id) !== JSON.stringify(value)) upserts.set(id, value)
+    }
+    const removals = [...before.keys()].filter(id => !entries.has(id))
+    if (upserts.size === 0 && removals.length === 0) return
+
+    await this.writeShard(shard, upserts, removals)
+    this.remember(shard, entries)
+  }
+}
+
+// One `webflowSyncSettings` document per shard ('sync-mappings.<collection>', 'sync-mappings.assets'),
+// entries in a keyed array so each one can be patched on its own
+class SanityStateStore extends StateStore {
+  constructor(client) {
+    super()
+    this.client = client
+  }
+
+  static documentId(shard) {
+    return `sync-mappings.${shard}`
+  }
+
+  static entryKey(id) {
+    return crypto.createHash('sha1').update(id).digest('hex').slice(0, 16)
+  }
+
+  async readShards(kind) {
+    const filter = kind === 'assets'
+      ? '_id == $assets'
+      : '_id in path("sync-mappings.*") && _id != $assets'
+    const docs = await this.client.fetch(
+      `*[_type == "webflowSyncSettings" && ${filter}]{ _id, entries }`,
+      { assets: SanityStateStore.documentId(ASSETS_SHARD) }
+    )
+    if (!Array.isArray(docs)) throw new Error('State query did not return a list')
+    if (docs.length === 0) return this.readLegacy(kind)
+
+    const shards = new Map()
+    for (const doc of docs) {
+      const entries = new Map()
+      for (const entry of doc.entries || []) {
+        entries.set(entry.id, kind === 'assets'
+          ? entry.mapping
+          : { webflowId: entry.webflowId || null, hash: entry.hash || null, ...(entry.webflowHash ? { webflowHash: entry.webflowHash } : {}) })
+      }
+      shards.set(doc._id.replace('sync-mappings.', ''), entries)
+    }
+    return shards
+  }
+
+  // Pre-sharding state: one JSON string per kind. Loaded as `migrated`, so the next save writes
+  // every entry into the shards. The old documents are left untouched
+  async readLegacy(kind) {
+    const shards = new Map()
+    shards.migrated = true
+    if (kind === 'assets') {
+      const doc = await this.client.fetch('*[_type == "webflowSyncSettings" && _id == "asset-mappings"][0]{ assetMappings }')
+      if (doc?.assetMappings) {
+        shards.set(ASSETS_SHARD, new Map(Object.entries(JSON.parse(doc.assetMappings))))
+        console.log('📦 Migrating asset mappings to the sharded state store')
+      }
+      return shards
+    }
+    const ids = await this.client.fetch('*[_type == "webflowSyncSettings" && _id == "id-mappings"][0]{ idMappings }')
+    const hashes = await this.client.fetch('*[_type == "webflowSyncSettings" && _id == "sync-hashes"][0]{ hashes }')
+    if (!ids?.idMappings && !hashes?.hashes) return shards
+    console.log('📦 Migrating ID mappings and hashes to the sharded state store')
+    const migrated = mappingShards({
+      idMappings: new Map(Object.entries(JSON.parse(ids?.idMappings || '{}'))),
+      hashes: new Map(Object.entries(JSON.parse(hashes?.hashes || '{}')))
+    })
+    migrated.migrated = true
+    return migrated
+  }
+
+  // Changed entries are unset and appended again in one patch (an upsert that never duplicates
+  // a key), removed entries are only unset
+  async writeShard(shard, upserts, removals) {
+    const _id = SanityStateStore.documentId(shard)
+    const keyPath = (id) => `entries[_key=="${SanityStateStore.entryKey(id)}"]`
+    const entries = [...upserts].map(([id, value]) => ({
+      _key: SanityStateStore.entryKey(id),
+      id,
+      ...(shard === ASSETS_SHARD ? { mapping: value } : value)
+    }))
+    await this.client.transaction()
+      .createIfNotExists({ _id, _type: 'webflowSyncSettings', shard, entries: [] })
+      .patch(_id, patch => patch
+        .unset([...upserts.keys(), ...removals].map(keyPath))
+        .append('entries', entries)
+        .set({ lastUpdated: new Date().toISOString() }))
+      .commit()
+  }
+
+  async saveRun(run) {
+    await this.client.createOrReplace({
+      ...run,
+      _id: `sync-run.${run.id}`,
+      _type: 'syncRun',
+      collections: (run.collections || []).map(c => ({ _key: c.collection, ...c }))
+    })
+  }
+
+  async getRun(id) {
+    const doc = await this.client.fetch('*[_type == "syncRun" && _id == $id][0]', { id: `sync-run.${id}` })
+    if (!doc) return null
+    const { _id, _type, _rev, _createdAt, _updatedAt, ...run } = doc
+    return { ...run, collections: (run.collections || []).map(({ _key, ...c }) => c) }
+  }
+
+  async saveProgress(progress) {
+    await this.client.createOrReplace({ ...progress, _id: 'sync-progress', _type: 'webflowSyncSettings' })
+  }
+
+  async loadProgress() {
+    const doc = await this.client.fetch('*[_type == "webflowSyncSettings" && _id == "sync-progress"][0]')
+    if (!doc) return null
+    const { _id, _type, _rev, _createdAt, _updatedAt, ...progress } = doc
+    return progress
+  }
+
+  async readLock() {
+    const doc = await this.client.fetch('*[_type == "webflowSyncSettings" && _id == "sync-lock"][0]')
+    return doc ? { ...lockInfo(doc), revision: doc._rev } : null
+  }
+
+  // create() fails on an existing document and ifRevisionId() on a changed one, both with a 409
+  async writeLock(fields, current) {
+    try {
+      if (!current) {
+        await this.client.create({ _id: 'sync-lock', _type: 'webflowSyncSettings', ...fields })
+      } else {
+        await this.client.patch('sync-lock').ifRevisionId(current.revision).set(fields).commit()
+      }
+      return true
+    } catch (error) {
+      if (error.statusCode === 409) return false
+      throw error
+    }
+  }
+
+  async enqueue(request) {
+    await this.client.transaction()
+      .createIfNotExists({ _id: 'sync-queue', _type: 'webflowSyncSettings', requests: [] })
+      .patch('sync-queue', patch => patch
+        .setIfMissing({ requests: [] })
+        .append('requests', [{ _key: crypto.randomUUID().slice(0, 16), ...request }]))
+      .commit()
+  }
+
+  async readQueue() {
+    const doc = await this.client.fetch('*[_type == "webflowSyncSettings" && _id == "sync-queue"][0]{ requests }')
+    return (doc?.requests || []).map(({ _key, ...request }) => ({ ...request, queueId: _key }))
+  }
+
+  // Only the lock holder removes requests, so this cannot race another reader
+  async removeFromQueue(queueId) {
+    await this.client.patch('sync-queue').unset([`requests[_key=="${queueId}"]`]).commit()
+  }
+
+  async queueSize() {
+    return this.client.fetch('count(*[_type == "webflowSyncSettings" && _id == "sync-queue"][0].requests)')
+  }
+
+  async loadDriftAcceptances() {
+    const doc = await this.client.fetch('*[_type == "webflowSyncSettings" && _id == "sync-drift"][0]{ entries }')
+    return new Map((doc?.entries || []).map(({ _key, id, ...acceptance }) => [id, acceptance]))
+  }
+
+  async saveDriftAcceptance(key, acceptance) {
+    const _key = SanityStateStore.entryKey(key)
+    await this.client.transaction()
+      .createIfNotExists({ _id: 'sync-drift', _type: 'webflowSyncSettings', entries: [] })
+      .patch('sync-drift', patch => patch
+        .unset([`entries[_key=="${_key}"]`])
+        .append('entries', [{ _key, id: key, ...acceptance }]))
+      .commit()
+  }
+
+  async loadJob() {
+    const doc = await this.client.fetch('*[_type == "webflowSyncSettings" && _id == "sync-job"][0]')
+    if (!doc) return null
+    const { _id, _type, _rev, _createdAt, _updatedAt, ...job } = doc
+    return job
+  }
+
+  // Only the lock holder writes the job, a patch keeps the document's other fields
+  async saveJob(job) {
+    await this.client.transaction()
+      .createIfNotExists({ _id: 'sync-job', _type: 'webflowSyncSettings' })
+      .patch('sync-job', patch => patch.set({ ...job, updatedAt: new Date().toISOString() }))
+      .commit()
+  }
+
+  // Quarantine entries are keyed like the mapping entries. A quarantine written before that
+  // (one JSON string in `items`) is moved into entries on its first load
+  async loadQuarantine() {
+    const doc = await this.client.fetch('*[_type == "webflowSyncSettings" && _id == "orphan-quarantine"][0]{ entries, items }')
+    const quarantine = new Map((doc?.entries || []).map(({ _key, id, ...entry }) => [id, entry]))
+    if (doc?.items) {
+      const legacy = new Map(Object.entries(JSON.parse(doc.items)).filter(([id]) => !quarantine.has(id)))
+      console.log(`📦 Migrating ${legacy.size} quarantined orphans to keyed entries`)
+      await this.updateQuarantine(legacy, [], ['items'])
+      legacy.forEach((entry, id) => quarantine.set(id, entry))
+    }
+    return quarantine
+  }
+
+  async updateQuarantine(upserts, removals, unsetFields = []) {
+    if (upserts.size === 0 && removals.length === 0 && unsetFields.length === 0) return
+    const keyPath = (id) => `entries[_key=="${SanityStateStore.entryKey(id)}"]`
+    await this.client.transaction()
+      .createIfNotExists({ _id: 'orphan-quarantine', _type: 'webflowSyncSettings', entries: [] })
+      .patch('orphan-quarantine', patch => patch
+        .setIfMissing({ entries: [] })
+        .unset([...unsetFields, ...[...upserts.keys(), ...removals].map(keyPath)])
+        .append('entries', [...upserts].map(([id, entry]) => ({ _key: SanityStateStore.entryKey(id), id, ...entry })))
+        .set({ lastUpdated: new Date().toISOString() }))
+      .commit()
+  }
+
+  async listRuns({ limit = 20, item = null } = {}) {
+    const touches = item
+      ? '&& ($item in collections[].changes[].sanityId || $item in collections[].changes[].webflowId || $item in collections[].deletedWebflowIds[])'
+      : ''
+    return this.client.fetch(
+      `*[_type == "syncRun" ${touches}] | order(startedAt desc) [0...$limit] { ${RUN_SUMMARY_FIELDS.join(', ')} }`,
+      { limit, item }
+    )
+  }
+}
+
+// One JSON file per shard in `dir`
+class LocalStateStore extends StateStore {
+  constructor(dir) {
+    super()
+    this.dir = dir
+  }
+
+  file(shard) {
+    return path.join(this.dir, `${shard}.json`)
+  }
+
+  readFile(shard) {
+    const file = this.file(shard)
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+  }
+
+  async readShards(kind) {
+    const shards = new Map()
+    if (!fs.existsSync(this.dir)) return shards
+    for (const name of fs.readdirSync(this.dir).filter(f => f.endsWith('.json'))) {
+      const shard = name.slice(0, -'.json'.length)
+      if ((shard === ASSETS_SHARD) !== (kind === 'assets')) continue
+      shards.set(shard, new Map(Object.entries(this.readFile(shard))))
+    }
+    return shards
+  }
+
+  // Re-read the file so entries written by another run since our load are kept
+  async writeShard(shard, upserts, removals) {
+    const entries = this.readFile(shard)
+    upserts.forEach((value, id) => { entries[id] = value })
+    removals.forEach(id => { delete entries[id] })
+    fs.mkdirSync(this.dir, { recursive: true })
+    const tmp = `${this.file(shard)}.${process.pid}.tmp`
+    fs.writeFileSync(tmp, JSON.stringify(entries, null, 2))
+    fs.renameSync(tmp, this.file(shard))
+  }
+
+  progressFile() {
+    return path.join(this.dir, 'status', 'progress.json')
+  }
+
+  async saveProgress(progress) {
+    fs.mkdirSync(path.dirname(this.progressFile()), { recursive: true })
+    fs.writeFileSync(this.progressFile(), JSON.stringify(progress, null, 2))
+  }
+
+  async loadProgress() {
+    return fs.existsSync(this.progressFile()) ? JSON.parse(fs.readFileSync(this.progressFile(), 'utf8')) : null
+  }
+
+  readStatusFile(name, fallback) {
+    const file = path.join(this.dir, 'status', name)
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback
+  }
+
+  writeStatusFile(name, value) {
+    const file = path.join(this.dir, 'status', name)
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(`${file}.${process.pid}.tmp`, JSON.stringify(value, null, 2))
+    fs.renameSync(`${file}.${process.pid}.tmp`, file)
+  }
+
+  async readLock() {
+    const lock = this.readStatusFile('lock.json', null)
+    return lock ? { ...lockInfo(lock), revision: lock.version } : null
+  }
+
+  async writeLock(fields, current) {
+    const latest = this.readStatusFile('lock.json', null)
+    if ((latest?.version ?? null) !== (current?.revision ?? null)) return false
+    this.writeStatusFile('lock.json', { ...latest, ...fields, version: (latest?.version || 0) + 1 })
+    return true
+  }
+
+  async enqueue(request) {
+    this.writeStatusFile('queue.json', [...this.readStatusFile('queue.json', []), { ...request, queueId: crypto.randomUUID() }])
+  }
+
+  async readQueue() {
+    return this.readStatusFile('queue.json', [])
+  }
+
+  async removeFromQueue(queueId) {
+    this.writeStatusFile('queue.json', this.readStatusFile('queue.json', []).filter(request => request.queueId !== queueId))
+  }
+
+  async queueSize() {
+    return this.readStatusFile('queue.json', []).length
+  }
+
+  async loadDriftAcceptances() {
+    return new Map(Object.entries(this.readStatusFile('drift.json', {})))
+  }
+
+  async saveDriftAcceptance(key, acceptance) {
+    this.writeStatusFile('drift.json', { ...this.readStatusFile('drift.json', {}), [key]: acceptance })
+  }
+
+  async loadJob() {
+    return this.readStatusFile('job.json', null)
+  }
+
+  async saveJob(job) {
+    this.writeStatusFile('job.json', { ...job, updatedAt: new Date().toISOString() })
+  }
+
+  async loadQuarantine() {
+    return new Map(Object.entries(this.readStatusFile('quarantine.json', {})))
+  }
+
+  // Re-read the file so entries written by another run since our load are kept
+  async updateQuarantine(upserts, removals) {
+    const entries = this.readStatusFile('quarantine.json', {})
+    upserts.forEach((entry, id) => { entries[id] = entry })
+    removals.forEach(id => { delete entries[id] })
+    this.writeStatusFile('quarantine.json', entries)
+  }
+
+  runFile(id) {
+    return path.join(this.dir, 'runs', `${id}.json`)
+  }
+
+  async saveRun(run) {
+    fs.mkdirSync(path.join(this.dir, 'runs'), { recursive: true })
+    fs.writeFileSync(this.runFile(run.id), JSON.stringify(run, null, 2))
+  }
+
+  async getRun(id) {
+    const file = this.runFile(path.basename(String(id)))
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+  }
+
+  async listRuns({ limit = 20, item = null } = {}) {
+    const dir = path.join(this.dir, 'runs')
+    if (!fs.existsSync(dir)) return []
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')))
+      .filter(run => !item || runTouches(run, item))
+      .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))
+      .slice(0, limit)
+      .map(runSummary)
+  }
+}
+
+function createStateStore(sanityClient) {
+  const kind = process.env.SYNC_STATE_STORE || 'sanity'
+  if (kind === 'local') {
+    const dir = process.env.SYNC_STATE_DIR || path.join(__dirname, '..', '.sync-state')
+    console.log(`🗂️  Using local sync state in ${dir}`)
+    return new LocalStateStore(dir)
+  }
+  if (kind !== 'sanity') {
+    throw new Error(`Unknown SYNC_STATE_STORE: ${kind} (expected 'sanity' or 'local')`)
+  }
+  return new SanityStateStore(sanityClient)
+}
+
+module.exports = { createStateStore, StateStore, SanityStateStore, LocalStateStore }
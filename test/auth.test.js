@@ -0,0 +1,90 @@
+// Tests for lib/auth.js: token scopes and signed requests
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const { authorize, signRequest } = require('../lib/auth')
+
+process.env.SYNC_API_TOKENS = 'read:r1,sync:s1,admin:a1'
+delete process.env.CRON_SECRET
+
+function response() {
+  return {
+    headers: {},
+    setHeader(key, value) { this.headers[key] = value },
+    status(code) { this.code = code; return this },
+    json(body) { this.body = body }
+  }
+}
+
+async function check(req, scope) {
+  const res = response()
+  const allowed = await authorize({ headers: {}, ...req }, res, scope)
+  return { allowed, code: res.code }
+}
+
+function signed(token, { timestamp = Date.now(), nonce = crypto.randomUUID(), method = 'POST', path = '/api/sync-to-webflow', body = { syncType: 'plan' } } = {}) {
+  const signature = signRequest(token, { timestamp, nonce, method, path, body: method === 'GET' ? '' : JSON.stringify(body) })
+  return { method, url: path, body, headers: { 'x-sync-signature': `t=${timestamp},n=${nonce},v1=${signature}` } }
+}
+
+test('auth: bearer tokens are checked against their scope', async () => {
+  assert.equal((await check({}, 'read')).code, 401)
+  assert.equal((await check({ headers: { authorization: 'Bearer nope' } }, 'read')).code, 401)
+  assert.equal((await check({ headers: { authorization: 'Bearer r1' } }, 'read')).allowed, true)
+  assert.equal((await check({ headers: { authorization: 'Bearer r1' } }, 'sync')).code, 403)
+  assert.equal((await check({ headers: { authorization: 'Bearer s1' } }, 'admin')).code, 403)
+  assert.equal((await check({ headers: { authorization: 'Bearer a1' } }, 'sync')).allowed, true)
+})
+
+test('auth: the scope is put on the request', async () => {
+  const req = { headers: { authorization: 'Bearer s1' } }
+  await authorize(req, response(), 'read')
+  assert.deepEqual(req.auth, { scope: 'sync' })
+})
+
+test('auth: CRON_SECRET is a sync token', async (t) => {
+  process.env.CRON_SECRET = 'cron1'
+  t.after(() => { delete process.env.CRON_SECRET })
+  assert.equal((await check({ headers: { authorization: 'Bearer cron1' } }, 'sync')).allowed, true)
+  assert.equal((await check({ headers: { authorization: 'Bearer cron1' } }, 'admin')).code, 403)
+})
+
+test('auth: no configured tokens refuses every request', async (t) => {
+  const tokens = process.env.SYNC_API_TOKENS
+  delete process.env.SYNC_API_TOKENS
+  t.after(() => { process.env.SYNC_API_TOKENS = tokens })
+  assert.equal((await check({ headers: { authorization: 'Bearer a1' } }, 'read')).code, 500)
+})
+
+test('auth: signed requests', async () => {
+  assert.equal((await check(signed('s1'), 'sync')).allowed, true)
+  assert.equal((await check(signed('s1'), 'admin')).code, 403)
+  assert.equal((await check(signed('wrong'), 'read')).code, 401)
+  assert.equal((await check(signed('s1', { method: 'GET', path: '/api/sync-status?x=1' }), 'read')).allowed, true)
+
+  const tampered = signed('s1')
+  tampered.body = { syncType: 'purge-quarantine' }
+  assert.equal((await check(tampered, 'read')).code, 401)
+
+  const unsignedNonce = signed('s1')
+  unsignedNonce.headers['x-sync-signature'] = unsignedNonce.headers['x-sync-signature'].replace(/n=[^,]+,/, '')
+  assert.equal((await check(unsignedNonce, 'read')).code, 401)
+})
+
+test('auth: signatures outside the 5 minute window are rejected', async () => {
+  assert.equal((await check(signed('s1', { timestamp: Date.now() - 4 * 60 * 1000 }), 'sync')).allowed, true)
+  assert.equal((await check(signed('s1', { timestamp: Date.now() - 6 * 60 * 1000 }), 'sync')).code, 401)
+  assert.equal((await check(signed('s1', { timestamp: Date.now() + 6 * 60 * 1000 }), 'sync')).code, 401)
+})
+
+test('auth: a signed request is accepted once', async () => {
+  const nonce = crypto.randomUUID()
+  const timestamp = Date.now()
+  assert.equal((await check(signed('s1', { nonce, timestamp }), 'sync')).allowed, true)
+  assert.equal((await check(signed('s1', { nonce, timestamp }), 'sync')).code, 401)
+  // A forged request does not use up the nonce of a real one
+  const fresh = crypto.randomUUID()
+  assert.equal((await check(signed('wrong', { nonce: fresh }), 'sync')).code, 401)
+  assert.equal((await check(signed('s1', { nonce: fresh }), 'sync')).allowed, true)
+})
@@ -0,0 +1,86 @@
+// Tests for the bulk create path in api/sync-to-webflow.js, against a stubbed Webflow API
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-sync-'))
+test.after(() => fs.rmSync(stateDir, { recursive: true, force: true }))
+Object.assign(process.env, {
+  WEBFLOW_SITE_ID: 'site-1',
+  WEBFLOW_API_TOKEN: 'webflow-token',
+  SANITY_API_TOKEN: 'sanity-token',
+  SYNC_STATE_STORE: 'local',
+  SYNC_STATE_DIR: stateDir
+})
+
+const { runBulkBatches, createWebflowItems } = require('../api/sync-to-webflow')
+const { WebflowValidationError, WebflowServerError } = require('../lib/errors')
+
+// Webflow stub: bulk creates are rejected with a 400 while they contain an invalid slug, and
+// `rename` maps a slug to the one Webflow returns
+function stubWebflow({ invalid = [], rename = {} } = {}) {
+  const requests = []
+  const original = global.fetch
+  test.after(() => { global.fetch = original })
+  global.fetch = async (url, options = {}) => {
+    const body = JSON.parse(options.body)
+    requests.push(body.fieldData.map(fields => fields.slug))
+    const headers = { 'content-type': 'application/json', 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '60' }
+    if (body.fieldData.some(fields => invalid.includes(fields.slug))) {
+      return new Response(JSON.stringify({ message: 'Validation Failure' }), { status: 400, headers })
+    }
+    const items = body.fieldData.map(fields => ({ id: `wf-${fields.slug}`, fieldData: { ...fields, slug: rename[fields.slug] || fields.slug } }))
+    return new Response(JSON.stringify({ items }), { status: 202, headers })
+  }
+  return requests
+}
+
+const item = slug => ({ fieldData: { name: slug, slug }, sanityId: `sanity-${slug}` })
+
+test('bulk batches: a rejected batch is split until the invalid entry is isolated', async () => {
+  const sent = []
+  const result = await runBulkBatches([1, 2, 3, 4, 5], async (batch) => {
+    sent.push(batch)
+    if (batch.includes(4)) throw new WebflowValidationError(400, 'Validation Failure', '/items/bulk')
+    return batch
+  })
+
+  assert.deepEqual(result.succeeded, [1, 2, 3, 5])
+  assert.deepEqual(result.failed.map(f => f.entry), [4])
+  assert.deepEqual(sent, [[1, 2, 3, 4, 5], [1, 2, 3], [4, 5], [4], [5]])
+})
+
+test('bulk batches: other errors fail the whole batch without splitting', async () => {
+  let calls = 0
+  const result = await runBulkBatches([1, 2, 3], async () => {
+    calls++
+    throw new WebflowServerError(503, 'Service Unavailable', '/items/bulk')
+  })
+
+  assert.equal(calls, 1)
+  assert.deepEqual(result.succeeded, [])
+  assert.deepEqual(result.failed.map(f => f.entry), [1, 2, 3])
+})
+
+test('bulk create: only the invalid item fails, the rest are created once', async () => {
+  const requests = stubWebflow({ invalid: ['bad'] })
+  const { created, failed } = await createWebflowItems('collection-1', [item('a'), item('bad'), item('c')])
+
+  assert.deepEqual(created.map(c => [c.entry.sanityId, c.webflowItem.id]), [['sanity-a', 'wf-a'], ['sanity-c', 'wf-c']])
+  assert.deepEqual(failed.map(f => f.entry.sanityId), ['sanity-bad'])
+  assert.deepEqual(requests, [['a', 'bad', 'c'], ['a', 'bad'], ['a'], ['bad'], ['c']])
+})
+
+test('bulk create: an item returned under another slug is reported, not created again', async () => {
+  const requests = stubWebflow({ rename: { b: 'b-2' } })
+  const { created, failed } = await createWebflowItems('collection-1', [item('a'), item('b')])
+
+  assert.deepEqual(created.map(c => c.entry.sanityId), ['sanity-a'])
+  assert.equal(failed.length, 1)
+  assert.equal(failed[0].entry.sanityId, 'sanity-b')
+  assert.deepEqual(failed[0].webflowIds, ['wf-b'])
+  assert.equal(requests.length, 1)
+})
@@ -0,0 +1,70 @@
+// Golden-file tests for lib/portable-text.js: every test/fixtures/portable-text/<name>.json is
+// rendered and compared with <name>.html. Run with UPDATE_GOLDEN=1 to rewrite the .html files
+// after an intended output change (and review the diff).
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { portableTextToHtml, webflowImageFigure, webflowVideoFigure, videoEmbedUrl, normalizeRichTextHtml } = require('../lib/portable-text')
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'portable-text')
+
+// Options a fixture picks by name (`"options": "richText"`), shaped like the sync's converters
+const OPTIONS = {
+  default: {},
+  richText: {
+    resolveLink: markDef => markDef.reference?.slug ? `/creators/${markDef.reference.slug}` : null,
+    types: {
+      image: block => webflowImageFigure({ src: block.asset?.url, alt: block.alt, caption: block.caption }),
+      videoEmbed: block => webflowVideoFigure({ url: block.url, title: block.title, caption: block.caption })
+    }
+  },
+  captions: {
+    blockPrefix: index => `<strong>${index + 1}</strong> `
+  }
+}
+
+for (const file of fs.readdirSync(FIXTURES).filter(f => f.endsWith('.json')).sort()) {
+  const name = file.slice(0, -'.json'.length)
+  test(`portable text: ${name}`, () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'))
+    const html = portableTextToHtml(fixture.blocks, OPTIONS[fixture.options || 'default'])
+    const goldenFile = path.join(FIXTURES, `${name}.html`)
+    if (process.env.UPDATE_GOLDEN === '1') {
+      fs.writeFileSync(goldenFile, `${html}\n`)
+    }
+    assert.equal(html, fs.readFileSync(goldenFile, 'utf8').replace(/\n$/, ''))
+  })
+}
+
+test('portable text: nothing to render', () => {
+  assert.equal(portableTextToHtml(null), null)
+  assert.equal(portableTextToHtml([]), null)
+  assert.equal(portableTextToHtml([{ _type: 'unknownObject' }]), null)
+})
+
+test('video embed URLs', () => {
+  assert.equal(videoEmbedUrl('https://youtu.be/dQw4w9WgXcQ'), 'https://www.youtube.com/embed/dQw4w9WgXcQ')
+  assert.equal(videoEmbedUrl('https://www.youtube.com/shorts/dQw4w9WgXcQ'), 'https://www.youtube.com/embed/dQw4w9WgXcQ')
+  assert.equal(videoEmbedUrl('https://player.vimeo.com/video/42'), 'https://player.vimeo.com/video/42')
+  assert.equal(videoEmbedUrl('https://example.com/watch?v=dQw4w9WgXcQ'), null)
+})
+
+test('rich text normalization ignores how Webflow stores the HTML', () => {
+  const converted = '<p>Tom &amp; Jerry <a href="/creators/jerry">here</a></p>' +
+    webflowImageFigure({ src: 'https://cdn.sanity.io/a.jpg', alt: 'A', caption: 'Caption' })
+  const stored = '<p id="">Tom & Jerry <a href="/creators/jerry" target="_blank">here</a></p>\n' +
+    '<figure style="max-width:1200px" class="w-richtext-align-fullwidth w-richtext-figure-type-image">' +
+    '<div><img src="https://cdn.prod.website-files.com/a.jpg" loading="lazy" alt="A"/></div>' +
+    '<figcaption>Caption</figcaption></figure><p>\u200d</p>'
+  assert.equal(normalizeRichTextHtml(stored), normalizeRichTextHtml(converted))
+  assert.equal(normalizeRichTextHtml(converted), '<p>Tom & Jerry <a href="/creators/jerry">here</a></p><img><figcaption>Caption</figcaption>')
+})
+
+test('rich text normalization keeps edits', () => {
+  assert.notEqual(normalizeRichTextHtml('<p>Tom &amp; Jerry</p>'), normalizeRichTextHtml('<p>Tom and Jerry</p>'))
+  assert.notEqual(normalizeRichTextHtml('<p><a href="/a">x</a></p>'), normalizeRichTextHtml('<p><a href="/b">x</a></p>'))
+  assert.notEqual(normalizeRichTextHtml('<p>x</p>'), normalizeRichTextHtml('<h2>x</h2>'))
+  assert.equal(normalizeRichTextHtml(null), null)
+})
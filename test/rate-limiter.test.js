@@ -0,0 +1,80 @@
+// Tests for the Webflow rate limiter in api/sync-to-webflow.js, against a stubbed fetch
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-'))
+test.after(() => fs.rmSync(stateDir, { recursive: true, force: true }))
+Object.assign(process.env, {
+  WEBFLOW_SITE_ID: 'site-1',
+  WEBFLOW_API_TOKEN: 'webflow-token',
+  SANITY_API_TOKEN: 'sanity-token',
+  SYNC_STATE_STORE: 'local',
+  SYNC_STATE_DIR: stateDir,
+  WEBFLOW_MAX_CONCURRENCY: '2'
+})
+
+const { webflowRequest, rateLimiter } = require('../api/sync-to-webflow')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Webflow stub: `respond(index)` returns { status, headers } for the n-th request, and each
+// request takes `delay` ms. Records when each request started and the highest concurrency seen.
+function stubWebflow(respond, { delay = 10 } = {}) {
+  const calls = { started: [], inFlight: 0, maxInFlight: 0 }
+  const original = global.fetch
+  test.after(() => { global.fetch = original })
+  global.fetch = async () => {
+    const index = calls.started.push(Date.now()) - 1
+    calls.maxInFlight = Math.max(calls.maxInFlight, ++calls.inFlight)
+    await sleep(delay)
+    calls.inFlight--
+    const { status = 200, headers = {} } = respond(index)
+    return new Response(JSON.stringify({ ok: true }), { status, headers: { 'content-type': 'application/json', ...headers } })
+  }
+  return calls
+}
+
+test.beforeEach(() => {
+  Object.assign(rateLimiter, { limit: 60, remaining: null, inFlight: 0, pausedUntil: 0, nextProbeAt: 0, waiters: [] })
+})
+
+test('rate limiter: a 429 with Retry-After pauses every request', async () => {
+  const calls = stubWebflow(index => index === 0
+    ? { status: 429, headers: { 'retry-after': '1', 'x-ratelimit-remaining': '0' } }
+    : { headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '50' } })
+
+  await Promise.all([webflowRequest('/a'), webflowRequest('/b'), webflowRequest('/c')])
+
+  // The 429 came back after ~10ms; nothing else was sent until Retry-After had passed
+  assert.equal(calls.started.length, 4)
+  const rateLimitedAt = calls.started[0] + 10
+  for (const startedAt of calls.started.slice(1)) {
+    assert.ok(startedAt - rateLimitedAt >= 990, `request sent ${startedAt - rateLimitedAt}ms after the 429`)
+  }
+})
+
+test('rate limiter: concurrency is capped at WEBFLOW_MAX_CONCURRENCY', async () => {
+  const calls = stubWebflow(() => ({ headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '59' } }))
+
+  await Promise.all(Array.from({ length: 8 }, (_, i) => webflowRequest(`/items/${i}`)))
+
+  assert.equal(calls.started.length, 8)
+  assert.equal(calls.maxInFlight, 2)
+})
+
+test('rate limiter: with no budget left, one probe is sent per window/limit', async () => {
+  // 600 per minute: one probe every 100ms
+  const calls = stubWebflow(() => ({ headers: { 'x-ratelimit-limit': '600', 'x-ratelimit-remaining': '0' } }))
+
+  await Promise.all(Array.from({ length: 4 }, (_, i) => webflowRequest(`/items/${i}`)))
+
+  assert.equal(calls.started.length, 4)
+  assert.equal(calls.maxInFlight, 1)
+  // The first probe goes out as soon as the budget is known to be spent, the next ones are paced
+  const gaps = calls.started.slice(2).map((startedAt, i) => startedAt - calls.started[i + 1])
+  for (const gap of gaps) assert.ok(gap >= 95, `probes ${gap}ms apart`)
+})
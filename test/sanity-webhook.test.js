@@ -0,0 +1,82 @@
+// Tests for the signature check in api/sanity-webhook.js
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Readable } = require('stream')
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sanity-webhook-'))
+test.after(() => fs.rmSync(stateDir, { recursive: true, force: true }))
+Object.assign(process.env, {
+  WEBFLOW_SITE_ID: 'site-1',
+  WEBFLOW_API_TOKEN: 'webflow-token',
+  SANITY_API_TOKEN: 'sanity-token',
+  SANITY_WEBHOOK_SECRET: 'webhook-secret',
+  SYNC_STATE_STORE: 'local',
+  SYNC_STATE_DIR: stateDir
+})
+
+const handler = require('../api/sanity-webhook')
+const { isValidSignature } = handler
+
+const SECRET = 'webhook-secret'
+const BODY = JSON.stringify({ _id: 'artwork-1', _type: 'artwork' })
+
+// Sanity's header format: "t=<timestamp>,v1=<base64url HMAC-SHA256 of `${t}.${body}`>"
+function sign(body, { timestamp = Date.now(), secret = SECRET } = {}) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('base64url')
+  return `t=${timestamp},v1=${signature}`
+}
+
+function response() {
+  return {
+    status(code) { this.code = code; return this },
+    json(body) { this.body = body }
+  }
+}
+
+test('webhook: a signature over the exact body is accepted', () => {
+  assert.equal(isValidSignature(BODY, sign(BODY), SECRET), true)
+})
+
+test('webhook: a tampered body or a wrong secret is rejected', () => {
+  const header = sign(BODY)
+  assert.equal(isValidSignature(BODY.replace('artwork-1', 'artwork-2'), header, SECRET), false)
+  assert.equal(isValidSignature(BODY, sign(BODY, { secret: 'other-secret' }), SECRET), false)
+  assert.equal(isValidSignature(BODY, undefined, SECRET), false)
+  assert.equal(isValidSignature(BODY, 't=abc,v1=xyz', SECRET), false)
+})
+
+test('webhook: a signature outside the 5 minute window is rejected', () => {
+  assert.equal(isValidSignature(BODY, sign(BODY, { timestamp: Date.now() - 6 * 60 * 1000 }), SECRET), false)
+  assert.equal(isValidSignature(BODY, sign(BODY, { timestamp: Date.now() + 6 * 60 * 1000 }), SECRET), false)
+  assert.equal(isValidSignature(BODY, sign(BODY, { timestamp: Date.now() - 60 * 1000 }), SECRET), true)
+})
+
+test('webhook: a body that was already parsed is answered with 500, not checked', async () => {
+  const req = Object.assign(Readable.from([]), {
+    method: 'POST',
+    headers: { 'sanity-webhook-signature': sign(BODY) },
+    body: JSON.parse(BODY)
+  })
+  const res = response()
+  await handler(req, res)
+  assert.equal(res.code, 500)
+  assert.equal(res.body.error, 'Raw body unavailable')
+})
+
+test('webhook: an invalid signature on the raw stream is answered with 401', async () => {
+  const req = Object.assign(Readable.from([Buffer.from(BODY)]), {
+    method: 'POST',
+    headers: { 'sanity-webhook-signature': sign('{}') }
+  })
+  const res = response()
+  await handler(req, res)
+  assert.equal(res.code, 401)
+})
@@ -0,0 +1,129 @@
+// Tests for lib/state-store.js, against the local store in a temporary directory
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { LocalStateStore } = require('../lib/state-store')
+
+function tmpStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'))
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return new LocalStateStore(dir)
+}
+
+function mappings(entries) {
+  return {
+    idMappings: new Map(entries.map(([key, webflowId]) => [key, webflowId])),
+    hashes: new Map(entries.map(([key, , hash]) => [key, hash]))
+  }
+}
+
+test('state store: saves round-trip per collection shard', async () => {
+  const store = tmpStore()
+  await store.loadMappings()
+  await store.saveMappings(mappings([['creators:a', 'wf-a', 'h1'], ['artworks:b', 'wf-b', 'h2']]))
+
+  assert.deepEqual(store.readFile('creators'), { a: { webflowId: 'wf-a', hash: 'h1' } })
+  assert.deepEqual(store.readFile('artworks'), { b: { webflowId: 'wf-b', hash: 'h2' } })
+  const loaded = await new LocalStateStore(store.dir).loadMappings()
+  assert.equal(loaded.idMappings.get('artworks:b'), 'wf-b')
+  assert.equal(loaded.hashes.get('creators:a'), 'h1')
+})
+
+test('state store: a save only writes what changed since its load', async () => {
+  const store = tmpStore()
+  await store.loadMappings()
+  await store.saveMappings(mappings([['creators:a', 'wf-a', 'h1'], ['creators:b', 'wf-b', 'h1']]))
+
+  // Two runs load the same state, each changes one entry
+  const first = new LocalStateStore(store.dir)
+  const second = new LocalStateStore(store.dir)
+  const firstState = await first.loadMappings()
+  const secondState = await second.loadMappings()
+  firstState.hashes.set('creators:a', 'h2')
+  secondState.idMappings.set('creators:c', 'wf-c')
+  secondState.hashes.set('creators:c', 'h1')
+  await first.saveMappings(firstState)
+  await second.saveMappings(secondState)
+
+  assert.deepEqual(store.readFile('creators'), {
+    a: { webflowId: 'wf-a', hash: 'h2' },
+    b: { webflowId: 'wf-b', hash: 'h1' },
+    c: { webflowId: 'wf-c', hash: 'h1' }
+  })
+})
+
+test('state store: entries missing from a save are removed, also from emptied shards', async () => {
+  const store = tmpStore()
+  await store.loadMappings()
+  await store.saveMappings(mappings([['creators:a', 'wf-a', 'h1'], ['creators:b', 'wf-b', 'h1'], ['artworks:c', 'wf-c', 'h1']]))
+  await store.saveMappings(mappings([['creators:a', 'wf-a', 'h1']]))
+
+  assert.deepEqual(store.readFile('creators'), { a: { webflowId: 'wf-a', hash: 'h1' } })
+  assert.deepEqual(store.readFile('artworks'), {})
+})
+
+test('state store: a failed load drops the snapshot and refuses saves until a load succeeds', async () => {
+  const store = tmpStore()
+  await store.loadMappings()
+  await store.saveMappings(mappings([['creators:a', 'wf-a', 'h1'], ['creators:b', 'wf-b', 'h1']]))
+  await store.saveAssets(new Map([['image-1', { webflowUrl: 'https://cdn/1.jpg' }]]))
+
+  fs.writeFileSync(store.file('artworks'), '{ not json')
+  await assert.rejects(store.loadMappings())
+  assert.equal(store.snapshot.has('creators'), false)
+  assert.equal(store.snapshot.has('assets'), true)
+  await assert.rejects(store.saveMappings(mappings([])), /last load failed/)
+  assert.deepEqual(Object.keys(store.readFile('creators')), ['a', 'b'])
+
+  fs.writeFileSync(store.file('artworks'), '{}')
+  const state = await store.loadMappings()
+  state.idMappings.delete('creators:b')
+  state.hashes.delete('creators:b')
+  await store.saveMappings(state)
+  assert.deepEqual(Object.keys(store.readFile('creators')), ['a'])
+})
+
+test('state store: drift baselines are kept next to a hash only', async () => {
+  const store = tmpStore()
+  await store.loadMappings()
+  const state = mappings([['creators:a', 'wf-a', 'h1']])
+  state.webflowHashes = new Map([['creators:a', 'w1'], ['creators:gone', 'w2']])
+  await store.saveMappings(state)
+
+  assert.deepEqual(store.readFile('creators'), { a: { webflowId: 'wf-a', hash: 'h1', webflowHash: 'w1' } })
+  const loaded = await new LocalStateStore(store.dir).loadMappings()
+  assert.deepEqual(loaded.webflowHashes, new Map([['creators:a', 'w1']]))
+})
+
+test('state store: assets are saved apart from the mappings', async () => {
+  const store = tmpStore()
+  await store.loadAssets()
+  await store.saveAssets(new Map([['image-1', { webflowUrl: 'https://cdn/1.jpg' }]]))
+
+  assert.deepEqual(await new LocalStateStore(store.dir).loadAssets(), new Map([['image-1', { webflowUrl: 'https://cdn/1.jpg' }]]))
+  assert.deepEqual(await store.countMappings(), {})
+})
+
+test('state store: the job record round-trips', async () => {
+  const store = tmpStore()
+  assert.equal(await store.loadJob(), null)
+  await store.saveJob({ jobId: 'j1', status: 'running', cursor: { collection: 'creator', offset: 25 } })
+
+  const job = await store.loadJob()
+  assert.equal(job.jobId, 'j1')
+  assert.deepEqual(job.cursor, { collection: 'creator', offset: 25 })
+})
+
+test('state store: quarantine updates keep entries written by other runs', async () => {
+  const store = tmpStore()
+  await store.updateQuarantine(new Map([['artwork:w1', { webflowId: 'w1' }], ['artwork:w2', { webflowId: 'w2' }]]), [])
+
+  // Another run quarantines an item before this one releases w1
+  await new LocalStateStore(store.dir).updateQuarantine(new Map([['creator:w3', { webflowId: 'w3' }]]), [])
+  await store.updateQuarantine(new Map(), ['artwork:w1'])
+
+  assert.deepEqual([...(await store.loadQuarantine()).keys()], ['artwork:w2', 'creator:w3'])
+})
@@ -0,0 +1,90 @@
+// Tests for the sync lock and queue in lib/state-store.js, against the local store
+
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { setTimeout: sleep } = require('timers/promises')
+const { LocalStateStore } = require('../lib/state-store')
+
+function tmpStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-lock-'))
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return new LocalStateStore(dir)
+}
+
+const lock = (holder, type = 'full') => ({ holder, type, trigger: 'test', acquiredAt: new Date().toISOString() })
+
+test('sync lock: one holder at a time', async () => {
+  const store = tmpStore()
+  const first = await store.acquireLock(lock('a'), 60000)
+  assert.equal(first.acquired, true)
+  assert.equal(first.holder.holder, 'a')
+
+  const second = await store.acquireLock(lock('b', 'single-item'), 60000)
+  assert.equal(second.acquired, false)
+  assert.equal(second.holder.holder, 'a')
+  assert.equal(second.holder.type, 'full')
+
+  // The holder itself may take it again
+  assert.equal((await store.acquireLock(lock('a'), 60000)).acquired, true)
+})
+
+test('sync lock: a released or expired lease can be taken', async () => {
+  const store = tmpStore()
+  await store.acquireLock(lock('a'), 60000)
+  await store.releaseLock(lock('a'))
+  assert.equal((await store.acquireLock(lock('b'), 5)).acquired, true)
+
+  await sleep(20)
+  assert.equal((await store.acquireLock(lock('c'), 60000)).acquired, true)
+})
+
+test('sync lock: only the holder renews or releases', async () => {
+  const store = tmpStore()
+  await store.acquireLock(lock('a'), 5)
+  assert.equal(await store.renewLock(lock('a'), 60000), true)
+  await sleep(20)
+  assert.equal((await store.acquireLock(lock('b'), 60000)).acquired, false) // Renewed past the first TTL
+
+  assert.equal(await store.renewLock(lock('b'), 60000), false)
+  await store.releaseLock(lock('b'))
+  assert.equal((await store.acquireLock(lock('b'), 60000)).acquired, false)
+})
+
+test('sync lock: a parked lease is handed over with `from`, once', async () => {
+  const store = tmpStore()
+  await store.acquireLock(lock('job-1', 'job'), 60000)
+
+  assert.equal((await store.acquireLock(lock('full'), 60000)).acquired, false)
+  assert.equal((await store.acquireLock(lock('job-2', 'job'), 60000, { from: 'job-1' })).acquired, true)
+  // A second invocation still naming the old holder is refused
+  const late = await store.acquireLock(lock('job-3', 'job'), 60000, { from: 'job-1' })
+  assert.equal(late.acquired, false)
+  assert.equal(late.holder.holder, 'job-2')
+})
+
+test('sync lock: a racing writer loses the compare-and-swap', async () => {
+  const store = tmpStore()
+  const current = await store.readLock()
+  assert.equal(await store.writeLock({ ...lock('a') }, current), true)
+  assert.equal(await store.writeLock({ ...lock('b') }, current), false)
+  assert.equal((await store.readLock()).holder, 'a')
+})
+
+test('sync queue: requests stay queued, in order, until removed', async () => {
+  const store = tmpStore()
+  assert.equal(await store.queueSize(), 0)
+  await store.enqueue({ operation: 'sync', documentId: 'a' })
+  await store.enqueue({ operation: 'delete', documentId: 'b' })
+  assert.equal(await store.queueSize(), 2)
+
+  const [first, second] = await store.readQueue()
+  assert.deepEqual([first.documentId, second.documentId], ['a', 'b'])
+  // A drain cut off after the first request leaves the second one queued
+  await store.removeFromQueue(first.queueId)
+  assert.deepEqual((await store.readQueue()).map(r => r.documentId), ['b'])
+  await store.removeFromQueue(second.queueId)
+  assert.equal(await store.queueSize(), 0)
+})